@@ -0,0 +1,26 @@
+// Hash a password for AUTH_USERS_FILE
+// Usage: node hash-password.js <password>   (or pipe the password on stdin)
+const crypto = require('crypto');
+
+async function readPassword() {
+    if (process.argv[2]) return process.argv[2];
+
+    let input = '';
+    for await (const chunk of process.stdin) input += chunk;
+    return input.replace(/\r?\n$/, '');
+}
+
+async function main() {
+    const password = await readPassword();
+    if (!password) {
+        console.error('Usage: node hash-password.js <password>');
+        process.exit(1);
+    }
+
+    // Same format the server checks: scrypt$<salt hex>$<hash hex>
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    console.log(`scrypt$${salt}$${hash}`);
+}
+
+main();
@@ -13,18 +13,27 @@ class MongoTV {
         // Application State
         // ==========================================
         this.ws = null;
-        this.isPaused = false;
         this.soundEnabled = false;
-        this.docCount = 0;
-        this.messageQueue = [];
         this.hasFixedCollection = false;
-        this.currentDatabase = null;
-        this.currentCollection = null;
+        this.user = null;
+
+        // Watch panes by id; each has its own target, filter, pause state, counter and history
+        this.panes = new Map();
+        this.activePane = null;
+        this.splitPanes = localStorage.getItem('splitPanes') === 'true';
+
+        // Live activity figures behind the dashboard layout
+        this.dashboardStats = this.createDashboardStats();
+        this.dashboardTimer = null;
+        this.dashboardRenderPending = false;
 
         // ==========================================
         // DOM Elements
         // ==========================================
-        this.screen = document.getElementById('screen');
+        this.panesEl = document.getElementById('panes');
+        this.paneTabList = document.getElementById('paneTabList');
+        this.addPaneBtn = document.getElementById('addPaneBtn');
+        this.splitPanesBtn = document.getElementById('splitPanesBtn');
         this.status = document.getElementById('status');
         this.statusText = this.status.querySelector('.status-text');
         this.watchingTarget = document.getElementById('watchingTarget');
@@ -34,7 +43,9 @@ class MongoTV {
         this.clearBtn = document.getElementById('clearBtn');
         this.soundBtn = document.getElementById('soundBtn');
         this.soundIcon = document.getElementById('soundIcon');
-        this.welcome = document.getElementById('welcome');
+        this.alertsBtn = document.getElementById('alertsBtn');
+        this.alertCount = document.getElementById('alertCount');
+        this.dashboard = document.getElementById('dashboard');
 
         // Sidebar elements
         this.sidebar = document.getElementById('sidebar');
@@ -43,6 +54,32 @@ class MongoTV {
         this.sidebarOverlay = document.getElementById('sidebarOverlay');
         this.sidebarContent = document.getElementById('sidebarContent');
 
+        // Watch list form
+        this.watchListForm = document.getElementById('watchListForm');
+        this.watchListInput = document.getElementById('watchListInput');
+        this.watchListError = document.getElementById('watchListError');
+        this.startFromForm = document.getElementById('startFromForm');
+        this.startFromInput = document.getElementById('startFromInput');
+        this.startFromError = document.getElementById('startFromError');
+
+        // History retention form
+        this.historyForm = document.getElementById('historyForm');
+        this.historyInput = document.getElementById('historyInput');
+        this.historyError = document.getElementById('historyError');
+        this.historyInfo = document.getElementById('historyInfo');
+
+        // Search bar
+        this.searchForm = document.getElementById('searchForm');
+        this.searchInput = document.getElementById('searchInput');
+
+        // Server filter form
+        this.filterForm = document.getElementById('filterForm');
+        this.filterOps = document.getElementById('filterOps');
+        this.filterMatch = document.getElementById('filterMatch');
+        this.filterFields = document.getElementById('filterFields');
+        this.filterError = document.getElementById('filterError');
+        this.filterReset = document.getElementById('filterReset');
+
         // Footer control buttons
         this.randomColorBtn = document.getElementById('randomColorBtn');
         this.darkModeBtn = document.getElementById('darkModeBtn');
@@ -53,6 +90,11 @@ class MongoTV {
         this.zoomOutBtn = document.getElementById('zoomOutBtn');
         this.viewToggleBtn = document.getElementById('viewToggleBtn');
         this.layoutToggleBtn = document.getElementById('layoutToggleBtn');
+        this.ejsonToggleBtn = document.getElementById('ejsonToggleBtn');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.webhooksBtn = document.getElementById('webhooksBtn');
+        this.diagnosticsBtn = document.getElementById('diagnosticsBtn');
+        this.schemaBtn = document.getElementById('schemaBtn');
 
         // ==========================================
         // Preferences & Persistence
@@ -65,11 +107,16 @@ class MongoTV {
             if (this.viewToggleBtn) this.viewToggleBtn.textContent = this.viewMode.toUpperCase();
         }
 
-        // Layout mode state (List vs Grid)
+        // Layout mode state (List vs Grid vs Dashboard)
         this.layoutMode = localStorage.getItem('layoutMode');
         if (this.layoutMode) {
-            document.body.classList.toggle('layout-grid', this.layoutMode === 'grid');
-            if (this.layoutToggleBtn) this.layoutToggleBtn.textContent = this.layoutMode === 'grid' ? 'GRID' : 'LIST';
+            this.applyLayoutMode();
+        }
+
+        // Extended JSON mode (Relaxed vs Canonical), applied by the server per client
+        this.ejsonMode = localStorage.getItem('ejsonMode');
+        if (this.ejsonMode && this.ejsonToggleBtn) {
+            this.ejsonToggleBtn.textContent = this.ejsonMode === 'canonical' ? 'CAN' : 'REL';
         }
 
         // Modal elements
@@ -78,6 +125,12 @@ class MongoTV {
         this.modalBody = document.getElementById('modalBody');
         this.modalTitle = document.getElementById('modalTitle');
 
+        // Login elements
+        this.loginOverlay = document.getElementById('loginOverlay');
+        this.loginForm = document.getElementById('loginForm');
+        this.loginError = document.getElementById('loginError');
+        this.logoutBtn = document.getElementById('logoutBtn');
+
         // Font size state
         this.fontSize = parseFloat(localStorage.getItem('docFontSize')) || 0.85;
         document.documentElement.style.setProperty('--doc-font-size', `${this.fontSize}rem`);
@@ -88,6 +141,12 @@ class MongoTV {
         // Hide errors state
         this.hideErrors = localStorage.getItem('hideErrors') === 'true';
 
+        // Alert rules and the log of alerts they raised
+        this.alertRules = this.loadStoredList('alertRules');
+        this.alertLog = this.loadStoredList('alertLog');
+        this.unreadAlerts = 0;
+        this.alertConditions = new Map();
+
         // SVG Assets (inline for performance)
         this.moonSvg = '<path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z" />';
         this.sunSvg = '<circle cx="12" cy="12" r="5"/><line x1="12" y1="1" x2="12" y2="3"/><line x1="12" y1="21" x2="12" y2="23"/><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/><line x1="1" y1="12" x2="3" y2="12"/><line x1="21" y1="12" x2="23" y2="12"/><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/>';
@@ -95,23 +154,184 @@ class MongoTV {
         this.pauseSvg = '<rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>';
         this.playSvg = '<polygon points="5 3 19 12 5 21 5 3"/>';
 
+        // Extended JSON wrappers rendered as typed values: wrapper key -> [css suffix, label]
+        this.ejsonTypes = {
+            '$oid': ['oid', 'ObjectId'],
+            '$date': ['date', 'Date'],
+            '$numberDecimal': ['decimal', 'Decimal128'],
+            '$numberLong': ['long', 'Int64'],
+            '$numberInt': ['int', 'Int32'],
+            '$numberDouble': ['double', 'Double'],
+            '$timestamp': ['timestamp', 'Timestamp'],
+            '$binary': ['binary', 'Binary'],
+            '$uuid': ['binary', 'UUID'],
+            '$regularExpression': ['regex', 'Regular Expression'],
+            '$minKey': ['key', 'MinKey'],
+            '$maxKey': ['key', 'MaxKey'],
+            '$code': ['code', 'JavaScript'],
+            '$symbol': ['code', 'Symbol'],
+            '$dbPointer': ['oid', 'DBPointer'],
+            '$undefined': ['key', 'Undefined']
+        };
+
         this.mutedSvg = '<polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/>';
         this.unmutedSvg = '<polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"/>';
 
         // Audio context for sound effects
         this.audioContext = null;
 
-        // History state (Last 100 items)
-        this.history = [];
-        this.MAX_ITEMS = 100;
+        // Alert log entries kept
+        this.MAX_ALERT_LOG = 100;
+
+        // History kept per pane: a number of events or an age (see `parseRetention()`), chosen in the sidebar.
+        // Without a choice of the user's, the server's HISTORY_RETENTION applies (remembered for the next load).
+        this.HISTORY_HARD_LIMIT = 50000;
+        this.historyRetention = this.parseStoredRetention();
+        this.historyDb = this.openHistoryStore();
+        this.historyPruneTimer = null;
+
+        // Virtualized rendering: height assumed for entries not measured yet, and how far beyond the viewport to render (px)
+        this.ESTIMATED_ENTRY_HEIGHT = 160;
+        this.RENDER_OVERSCAN = 800;
+
+        // Search bar query (see `parseSearch()`); the version invalidates the matches cached on entries
+        this.search = null;
+        this.searchPattern = null;
+        this.searchVersion = 0;
+        this.searchTimer = null;
+
+        // Keyboard shortcuts and the command palette (Ctrl/Cmd+K), which also offers databases and collections
+        this.commands = this.createCommands();
+        this.palette = null;
+        this.paletteTargets = [];
+
+        // Entries picked with Ctrl/Cmd+click, by event id (used for export)
+        this.selectedIds = new Set();
+
+        // Webhook sink statuses by name, and the refresh timer of the open webhooks dialog
+        this.webhookStatuses = new Map();
+        this.webhooksRefreshTimer = null;
+
+        // Refresh timer of the open diagnostics dialog
+        this.diagnosticsRefreshTimer = null;
+
+        // Document timeline open in the modal (see `openDocumentTimeline()`)
+        this.timeline = null;
+
+        // Inferred schemas by namespace (see `recordSchema()`), and the namespace shown in the open schema dialog
+        this.schemas = new Map();
+        this.schemaNamespace = null;
+        this.schemaRenderTimer = null;
+        this.SCHEMA_MAX_FIELDS = 300;
+        // Observations of a field's other types needed before a new type counts as drift
+        this.SCHEMA_DRIFT_MIN = 3;
+
+        // Whether the session check passed; pane history is only loaded after it (see `start()`)
+        this.signedIn = false;
+
+        // Watch target, filter and view settings from a shared link, applied once the config is known (see `syncUrl()`)
+        this.urlState = this.readUrlState();
+        this.urlApplied = false;
 
         // Initialize
         this.bindEvents();
-        this.checkConfig();
-        this.loadHistory();
+        this.loadPanes();
+        this.start();
+    }
+
+    /**
+     * Loads config and opens the WebSocket once the user is signed in (or no sign-in is required).
+     */
+    async start() {
+        if (!await this.checkSession()) return;
+        // Stored history stays hidden until the user is known to be allowed in
+        if (!this.signedIn) {
+            this.signedIn = true;
+            this.panes.forEach(pane => {
+                pane.historyLoaded = this.loadHistory(pane);
+            });
+        }
+        await this.checkConfig();
+        // Stored history first, so the server's backlog is only shown where it is newer
+        await Promise.all([...this.panes.values()].map(pane => pane.historyLoaded));
         this.connect();
     }
 
+    /**
+     * Asks the server whether a login is required and who is logged in.
+     * Shows the login form when needed.
+     * @returns {Promise<boolean>} Whether the client may go ahead and connect.
+     */
+    async checkSession() {
+        try {
+            const response = await fetch('/api/session');
+            const session = await response.json();
+
+            if (session.authRequired && !session.user) {
+                this.loginOverlay.classList.add('open');
+                this.loginForm.username.focus();
+                return false;
+            }
+
+            this.user = session.user;
+            document.body.dataset.role = this.user ? this.user.role : 'operator';
+            this.logoutBtn.classList.toggle('hidden', !this.user || this.user.via !== 'login');
+            if (this.user) this.logoutBtn.title = `Sign Out (${this.user.name})`;
+        } catch (err) {
+            // Server unreachable; the connection retry loop takes over
+            console.error('Failed to check session:', err);
+        }
+        return true;
+    }
+
+    /**
+     * Whether the user may point panes at other targets: the server does not fix the collection
+     * and the user's role is not limited to watching (viewers stay on the target they are given).
+     * @returns {boolean}
+     */
+    canSwitchTargets() {
+        return !this.hasFixedCollection && !(this.user && this.user.role === 'viewer');
+    }
+
+    /**
+     * Submits the login form and starts the app on success.
+     */
+    async login() {
+        this.loginError.textContent = '';
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: this.loginForm.username.value,
+                    password: this.loginForm.password.value
+                })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.loginForm.reset();
+            this.loginOverlay.classList.remove('open');
+            this.start();
+        } catch (err) {
+            this.loginError.textContent = err.message;
+        }
+    }
+
+    /**
+     * Ends the UI session; the server closes the socket and the reconnect shows the login form.
+     */
+    async logout() {
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } catch (err) {
+            console.error('Failed to sign out:', err);
+        }
+        window.location.reload();
+    }
+
     /**
      * Fetches configuration from the server API.
      * Applies defaults, app title, and handles fixed collection modes.
@@ -144,15 +364,27 @@ class MongoTV {
 
             if (!this.layoutMode && config.defaultLayoutMode) {
                 this.layoutMode = config.defaultLayoutMode;
-                document.body.classList.toggle('layout-grid', this.layoutMode === 'grid');
-                if (this.layoutToggleBtn) this.layoutToggleBtn.textContent = this.layoutMode === 'grid' ? 'GRID' : 'LIST';
+                this.applyLayoutMode();
             }
             // Fallback for layout mode
             if (!this.layoutMode) {
                 this.layoutMode = 'list';
-                if (this.layoutToggleBtn) this.layoutToggleBtn.textContent = 'LIST';
+                this.applyLayoutMode();
+            }
+
+            if (config.historyRetention && config.historyRetention !== localStorage.getItem('defaultHistoryRetention')) {
+                localStorage.setItem('defaultHistoryRetention', config.historyRetention);
+                if (!localStorage.getItem('historyRetention')) this.setHistoryRetention(this.parseStoredRetention());
             }
 
+            if (!this.ejsonMode) {
+                this.ejsonMode = config.defaultEjsonMode || 'relaxed';
+                if (this.ejsonToggleBtn) this.ejsonToggleBtn.textContent = this.ejsonMode === 'canonical' ? 'CAN' : 'REL';
+            }
+
+            // Webhook status is only relevant when the server relays events
+            this.webhooksBtn.classList.toggle('hidden', !config.webhooks);
+
             // Hide toggle if collection is fixed
             if (this.hasFixedCollection) {
                 this.sidebarToggle.classList.add('hidden');
@@ -160,6 +392,132 @@ class MongoTV {
         } catch (err) {
             console.error('Failed to get config:', err);
         }
+
+        await this.applyUrlState();
+    }
+
+    /**
+     * Reads the state a link carries in its query string (see `syncUrl()`).
+     * A target or filter in the link replaces the active pane's; the filter is then exactly the link's.
+     * @returns {Object} `{namespaces|database+collection, filter, search, viewMode, layoutMode, fontSize}`, each only when present.
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const list = name => (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+        const state = {};
+
+        if (params.get('ns')) {
+            state.namespaces = params.get('ns').match(/\/(?:\\.|[^/\\])+\/i?|[^,\s]+/g);
+        } else if (params.get('db')) {
+            state.database = params.get('db');
+            state.collection = params.get('coll') || '*';
+        }
+
+        if (state.namespaces || state.database || ['ops', 'match', 'fields'].some(name => params.has(name))) {
+            const filter = {};
+            if (list('ops').length > 0) filter.operationTypes = list('ops').map(op => op.toLowerCase());
+            if (params.get('match')) {
+                try {
+                    filter.match = JSON.parse(params.get('match'));
+                } catch (err) {
+                    console.warn(`Ignoring the match in the link: ${err.message}`);
+                }
+            }
+            if (list('fields').length > 0) filter.fields = list('fields');
+            state.filter = Object.keys(filter).length > 0 ? filter : null;
+        }
+
+        if (params.has('q')) state.search = params.get('q');
+        if (['yaml', 'json'].includes(params.get('view'))) state.viewMode = params.get('view');
+        if (['list', 'grid', 'dashboard'].includes(params.get('layout'))) state.layoutMode = params.get('layout');
+        const fontSize = parseFloat(params.get('font'));
+        if (fontSize) state.fontSize = Math.max(0.4, Math.min(3.0, fontSize));
+        return state;
+    }
+
+    /**
+     * Applies the state of the link the page was opened with, as if the user had chosen it (so it is saved too),
+     * then keeps the URL in sync from there on. A fixed collection ignores the link's target.
+     * @returns {Promise<void>}
+     */
+    async applyUrlState() {
+        if (this.urlApplied) return;
+        const state = this.urlState;
+
+        if (state.viewMode) {
+            this.viewMode = state.viewMode;
+            document.body.dataset.viewMode = this.viewMode;
+            if (this.viewToggleBtn) this.viewToggleBtn.textContent = this.viewMode.toUpperCase();
+            localStorage.setItem('viewMode', this.viewMode);
+        }
+        if (state.layoutMode) {
+            this.layoutMode = state.layoutMode;
+            this.applyLayoutMode();
+            localStorage.setItem('layoutMode', this.layoutMode);
+        }
+        if (state.fontSize) {
+            this.fontSize = state.fontSize;
+            document.documentElement.style.setProperty('--doc-font-size', `${this.fontSize}rem`);
+            localStorage.setItem('docFontSize', this.fontSize);
+        }
+        if (state.search !== undefined) {
+            this.searchInput.value = state.search;
+            this.applySearch();
+        }
+
+        if (state.filter !== undefined) {
+            const pane = this.activePane;
+            const target = !this.canSwitchTargets() || !(state.namespaces || state.database)
+                ? { database: pane.database, collection: pane.collection, namespaces: pane.namespaces }
+                : { database: state.database || null, collection: state.collection || null, namespaces: state.namespaces || null };
+
+            // Another target starts from an empty screen, like picking it in the sidebar
+            await pane.historyLoaded;
+            if (JSON.stringify([target.database, target.collection, target.namespaces]) !== JSON.stringify([pane.database, pane.collection, pane.namespaces])) {
+                this.clearScreen();
+                Object.assign(pane, target, { watching: null });
+            }
+            pane.filter = state.filter;
+            this.updatePaneTab(pane);
+            this.renderFilterForm();
+            this.watchListInput.value = pane.namespaces ? pane.namespaces.join(', ') : '';
+            this.savePanes();
+        }
+
+        this.urlApplied = true;
+        this.syncUrl();
+    }
+
+    /**
+     * Mirrors the active pane's target and filter, the search and the view settings in the query string,
+     * so the address can be shared: e.g. `?db=orders&coll=payments&ops=delete&view=json&layout=grid`.
+     * Uses `replaceState`, so changes do not pile up in the browser history.
+     */
+    syncUrl() {
+        if (!this.urlApplied) return;
+        const pane = this.activePane;
+        const filter = pane.filter || {};
+        const params = new URLSearchParams();
+
+        if (pane.namespaces) {
+            params.set('ns', pane.namespaces.join(','));
+        } else if (pane.database) {
+            params.set('db', pane.database);
+            if (pane.collection && pane.collection !== '*') params.set('coll', pane.collection);
+        }
+        if (filter.operationTypes) params.set('ops', filter.operationTypes.join(','));
+        if (filter.match) params.set('match', JSON.stringify(filter.match));
+        if (filter.fields) params.set('fields', filter.fields.join(','));
+        if (this.search) params.set('q', this.searchInput.value.trim());
+        if (this.viewMode) params.set('view', this.viewMode);
+        if (this.layoutMode) params.set('layout', this.layoutMode);
+        params.set('font', this.fontSize);
+
+        const { pathname, search, hash } = window.location;
+        const query = params.toString();
+        if (`?${query}` !== search) {
+            window.history.replaceState(null, '', `${pathname}?${query}${hash}`);
+        }
     }
 
     /**
@@ -169,6 +527,12 @@ class MongoTV {
         this.pauseBtn.addEventListener('click', () => this.togglePause());
         this.clearBtn.addEventListener('click', () => this.clearScreen());
         this.soundBtn.addEventListener('click', () => this.toggleSound());
+        this.alertsBtn.addEventListener('click', () => this.openAlertsDialog());
+
+        // Browsers only allow audio after a user gesture; prepare it for alert sounds on the first click
+        document.addEventListener('click', () => {
+            if (this.alertRules.some(rule => rule.enabled && rule.sound !== 'none')) this.ensureAudioContext();
+        }, { once: true });
         this.randomColorBtn.addEventListener('click', () => this.randomizeColors());
         this.darkModeBtn.addEventListener('click', () => this.toggleDarkMode());
         this.hideErrorsBtn.addEventListener('click', () => this.toggleHideErrors());
@@ -189,20 +553,85 @@ class MongoTV {
             this.layoutToggleBtn.addEventListener('click', () => this.toggleLayoutMode());
         }
 
+        // Extended JSON mode Toggle
+        if (this.ejsonToggleBtn) {
+            this.ejsonToggleBtn.addEventListener('click', () => this.toggleEjsonMode());
+        }
+
+        this.exportBtn.addEventListener('click', () => this.openExportDialog());
+        this.webhooksBtn.addEventListener('click', () => this.openWebhooksDialog());
+        this.diagnosticsBtn.addEventListener('click', () => this.openDiagnosticsDialog());
+        this.schemaBtn.addEventListener('click', () => this.openSchemaDialog());
+
+        // Login events
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        this.logoutBtn.addEventListener('click', () => this.logout());
+
         // Modal close events
         this.modalClose.addEventListener('click', () => this.closeModal());
         this.detailModal.addEventListener('click', (e) => {
             if (e.target === this.detailModal) this.closeModal();
         });
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') this.closeModal();
-        });
+
+        // Keyboard shortcuts (Esc closes the modal)
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
 
         // Sidebar events
         this.sidebarToggle.addEventListener('click', () => this.openSidebar());
         this.sidebarClose.addEventListener('click', () => this.closeSidebar());
         this.sidebarOverlay.addEventListener('click', () => this.closeSidebar());
 
+        // Pane tab bar events
+        this.addPaneBtn.addEventListener('click', () => this.addPane());
+        this.splitPanesBtn.addEventListener('click', () => this.toggleSplitPanes());
+
+        // Watch list form events
+        this.watchListForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyWatchList();
+        });
+
+        // Start point form events
+        this.startFromForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.replayFromStartPoint();
+        });
+
+        // History retention form events
+        this.historyForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyHistoryRetention();
+        });
+        this.renderHistoryInfo();
+
+        // Search bar events
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.applySearch(), 200);
+        });
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            this.searchInput.value = '';
+            this.applySearch();
+        });
+        this.searchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applySearch();
+        });
+
+        // Re-render the visible entries when the panes change size
+        window.addEventListener('resize', () => this.panes.forEach(pane => this.scheduleRender(pane)));
+
+        // Filter form events
+        this.filterForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyFilter();
+        });
+        this.filterReset.addEventListener('click', () => this.resetFilter());
+
         // Apply saved dark mode preference
         if (!this.isDarkMode) {
             document.body.classList.add('light-mode');
@@ -214,6 +643,10 @@ class MongoTV {
             document.body.classList.add('hide-errors');
             this.hideErrorsBtn.classList.add('active');
         }
+
+        // Apply saved split panes preference
+        document.body.classList.toggle('split-panes', this.splitPanes);
+        this.splitPanesBtn.classList.toggle('active', this.splitPanes);
     }
 
     /**
@@ -235,6 +668,7 @@ class MongoTV {
         document.body.classList.toggle('hide-errors', this.hideErrors);
         this.hideErrorsBtn.classList.toggle('active', this.hideErrors);
         localStorage.setItem('hideErrors', this.hideErrors);
+        this.panes.forEach(pane => this.scheduleRender(pane));
     }
 
     /**
@@ -285,7 +719,7 @@ class MongoTV {
     openSidebar() {
         this.sidebar.classList.add('open');
         this.sidebarOverlay.classList.add('visible');
-        this.loadDatabases();
+        if (this.canSwitchTargets()) this.loadDatabases();
     }
 
     closeSidebar() {
@@ -355,7 +789,7 @@ class MongoTV {
 
         } catch (err) {
             console.error('Failed to load databases:', err);
-            this.sidebarContent.innerHTML = `<div class="sidebar-loading">Failed to load databases: ${err.message}</div>`;
+            this.sidebarContent.innerHTML = `<div class="sidebar-loading">Failed to load databases: ${this.escapeHtml(err.message)}</div>`;
         }
     }
 
@@ -399,13 +833,21 @@ class MongoTV {
             }
 
             collectionsContainer.innerHTML = collections.map(coll => `
-                <div class="collection-item${this.currentDatabase === dbName && this.currentCollection === coll ? ' active' : ''}" 
+                <div class="collection-item${this.activePane.database === dbName && this.activePane.collection === coll ? ' active' : ''}" 
                      data-db="${dbName}" data-collection="${coll}">
                     <svg viewBox="0 0 24 24">
                         <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
                         <polyline points="14 2 14 8 20 8"/>
                     </svg>
                     <span>${coll}</span>
+                    <button class="pre-images-btn" title="Enable pre-images (before/after diffs)">
+                        <svg viewBox="0 0 24 24">
+                            <circle cx="6" cy="6" r="3"/>
+                            <circle cx="18" cy="18" r="3"/>
+                            <path d="M13 6h3a2 2 0 0 1 2 2v7"/>
+                            <path d="M11 18H8a2 2 0 0 1-2-2V9"/>
+                        </svg>
+                    </button>
                 </div>
             `).join('');
 
@@ -414,6 +856,11 @@ class MongoTV {
                 item.addEventListener('click', () => {
                     this.selectCollection(item.dataset.db, item.dataset.collection);
                 });
+
+                item.querySelector('.pre-images-btn').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.enablePreImages(item.dataset.db, item.dataset.collection);
+                });
             });
 
         } catch (err) {
@@ -423,16 +870,44 @@ class MongoTV {
     }
 
     /**
-     * Selects a database and collection to watch.
+     * Asks the server to turn on changeStreamPreAndPostImages for a collection,
+     * so update and replace events can be shown as a before/after diff.
+     */
+    async enablePreImages(database, collection) {
+        try {
+            const response = await fetch(`/api/collections/${encodeURIComponent(database)}/${encodeURIComponent(collection)}/pre-images`, {
+                method: 'POST'
+            });
+            if (!response.ok) {
+                const errData = await response.json().catch(() => ({}));
+                throw new Error(errData.error || `HTTP ${response.status}`);
+            }
+            this.displayNotice(`Pre-images enabled on ${database}.${collection}`);
+        } catch (err) {
+            this.displayError(`Could not enable pre-images on ${database}.${collection}: ${err.message}`);
+        }
+        this.closeSidebar();
+    }
+
+    /**
+     * Selects a database and collection for the active pane to watch.
      * Sends the 'selectCollection' message to the server via WebSocket.
      */
     selectCollection(database, collection) {
+        const pane = this.activePane;
+        const startFrom = this.takeStartFrom();
+        if (startFrom === false) return;
+
         // Clear the current stream
         this.clearScreen();
 
         // Update active state
-        this.currentDatabase = database;
-        this.currentCollection = collection;
+        pane.database = database;
+        pane.collection = collection;
+        pane.namespaces = null;
+        pane.watching = null;
+        this.watchListInput.value = '';
+        this.updatePaneTab(pane);
 
         // Update active class in sidebar
         this.sidebarContent.querySelectorAll('.collection-item').forEach(item => {
@@ -443,368 +918,3106 @@ class MongoTV {
         });
 
         // Send selection to server
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'selectCollection',
-                database: database,
-                collection: collection
-            }));
-        }
+        this.sendSelection(pane, startFrom);
+        this.savePanes();
 
         // Close sidebar
         this.closeSidebar();
     }
 
     /**
-     * Establishes WebSocket connection to the server.
-     * Handles automatic reconnection on disconnect.
+     * Points the active pane at the namespaces typed into the watch list form.
+     * Entries are `db.coll`, `db.*` or `/regex/`, separated by commas or spaces.
      */
-    connect() {
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//${window.location.host}`;
-
-        this.ws = new WebSocket(wsUrl);
+    applyWatchList() {
+        const namespaces = this.watchListInput.value.match(/\/(?:\\.|[^/\\])+\/i?|[^,\s]+/g) || [];
+        if (namespaces.length === 0) {
+            this.watchListError.textContent = 'Enter at least one namespace';
+            return;
+        }
 
-        this.ws.onopen = () => {
-            this.setStatus('connected', 'Connected');
-        };
+        const startFrom = this.takeStartFrom();
+        if (startFrom === false) return;
 
-        this.ws.onclose = () => {
-            this.setStatus('disconnected', 'Disconnected');
-            // Auto-reconnect after 3 seconds
-            setTimeout(() => this.connect(), 3000);
-        };
+        const pane = this.activePane;
+        this.watchListError.textContent = '';
+        this.clearScreen();
 
-        this.ws.onerror = (error) => {
-            console.error('WebSocket error:', error);
-            this.setStatus('disconnected', 'Error');
-        };
+        pane.namespaces = namespaces;
+        pane.database = null;
+        pane.collection = null;
+        pane.watching = null;
+        this.updatePaneTab(pane);
 
-        this.ws.onmessage = (event) => {
-            const data = JSON.parse(event.data);
-            this.handleMessage(data);
-        };
+        this.sendSelection(pane, startFrom);
+        this.savePanes();
+        this.closeSidebar();
     }
 
     /**
-     * Routes incoming WebSocket messages to appropriate handlers.
-     * @param {Object} data - Parsed WebSocket message.
+     * Re-watches the active pane's current target from the point typed into the start point form.
      */
-    handleMessage(data) {
-        switch (data.type) {
-            case 'welcome':
-                console.log(data.message);
-                break;
-
-            case 'status':
-                if (data.watching) {
-                    this.watchingTarget.textContent = data.watching;
-                }
-                break;
+    replayFromStartPoint() {
+        if (!this.startFromInput.value.trim()) {
+            this.startFromError.textContent = 'Enter a time, "N minutes ago" or a resume token';
+            return;
+        }
+        const startFrom = this.takeStartFrom();
+        if (startFrom === false) return;
 
-            case 'change':
-                if (this.isPaused) {
-                    this.messageQueue.push(data);
-                } else {
-                    this.displayChange(data);
-                }
-                break;
+        this.clearScreen();
+        this.sendSelection(this.activePane, startFrom);
+        this.closeSidebar();
+    }
 
-            case 'error':
-                this.displayError(data.message);
-                break;
+    /**
+     * Reads (and then clears) the start point form, so only the next selection starts in the past.
+     * @returns {Object|null|false} The start point, null if none was entered, or false if it is invalid (the error is shown).
+     */
+    takeStartFrom() {
+        try {
+            const startFrom = this.parseStartFrom(this.startFromInput.value);
+            this.startFromInput.value = '';
+            this.startFromError.textContent = '';
+            return startFrom;
+        } catch (err) {
+            this.startFromError.textContent = err.message;
+            return false;
         }
     }
 
     /**
-     * Displays a change event in the UI stream.
-     * Updates counters, history, and plays sound.
+     * Parses a start point: `15m`, `15 minutes ago`, `2h ago`, a date/time, or a resume token
+     * (`{"_data": "..."}` or just the hex string).
+     * @param {string} text - What was typed.
+     * @returns {Object|null} `{minutesAgo}`, `{time}` or `{resumeToken}` for the server; null when empty.
+     * @throws {Error} If the text is none of these.
      */
-    displayChange(data) {
-        // Remove welcome message on first document
-        if (this.welcome) {
-            this.welcome.remove();
-            this.welcome = null;
+    parseStartFrom(text) {
+        const value = text.trim();
+        if (!value) return null;
+
+        const relative = /^(\d+(?:\.\d+)?)\s*(m|min|mins|minutes?|h|hours?)?(\s+ago)?$/i.exec(value);
+        if (relative) {
+            const unit = (relative[2] || 'm').toLowerCase();
+            return { minutesAgo: parseFloat(relative[1]) * (unit.startsWith('h') ? 60 : 1) };
+        }
+        if (value.startsWith('{') || /^[0-9a-f]{16,}$/i.test(value)) {
+            return { resumeToken: value };
         }
 
-        // Update count
-        this.docCount++;
-        this.docCountEl.textContent = this.docCount;
-
-        // Add to history
-        this.history.push(data);
-        if (this.history.length > this.MAX_ITEMS) {
-            this.history.shift();
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) {
+            throw new Error('Not a time, "N minutes ago" or resume token');
         }
-        this.saveHistory();
+        return { time: new Date(time).toISOString() };
+    }
 
-        this.renderEntry(data);
+    /**
+     * Parses a history retention: a number of events per pane, or an age (`30m`, `24h`, `7d`).
+     * An age still keeps at most `HISTORY_HARD_LIMIT` events.
+     * @param {string} text - What was typed.
+     * @returns {Object} `{text, count}` or `{text, count, maxAgeMs}`.
+     * @throws {Error} If the text is neither.
+     */
+    parseRetention(text) {
+        const value = String(text).trim().toLowerCase();
 
-        // Prune UI to match MAX_ITEMS
-        while (this.screen.children.length > this.MAX_ITEMS) {
-            this.screen.removeChild(this.screen.firstElementChild);
+        if (/^\d+$/.test(value)) {
+            const count = parseInt(value, 10);
+            if (count < 1 || count > this.HISTORY_HARD_LIMIT) {
+                throw new Error(`Keep between 1 and ${this.HISTORY_HARD_LIMIT} events`);
+            }
+            return { text: value, count };
         }
 
-        // Play sound if enabled
-        if (this.soundEnabled) {
-            this.playSound(data.operation);
+        const age = /^(\d+)\s*([mhd])$/.exec(value);
+        if (age && parseInt(age[1], 10) > 0) {
+            const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[age[2]];
+            return { text: `${parseInt(age[1], 10)}${age[2]}`, count: this.HISTORY_HARD_LIMIT, maxAgeMs: parseInt(age[1], 10) * unit };
         }
+        throw new Error('Not a number of events or an age like 30m, 24h or 7d');
     }
 
     /**
-     * Renders a single document entry into the DOM.
-     * @param {Object} data - The change event data.
-     * @param {boolean} isHistory - Whether this is being rendered from history (disables animations).
+     * The retention to use: the user's own, else the server default remembered from the last config, else 1000 events.
+     * @returns {Object} The retention (see `parseRetention()`).
      */
-    renderEntry(data, isHistory = false) {
-        // Remove welcome if still there (e.g. loading history)
-        if (this.welcome) {
-            this.welcome.remove();
-            this.welcome = null;
+    parseStoredRetention() {
+        for (const text of [localStorage.getItem('historyRetention'), localStorage.getItem('defaultHistoryRetention')]) {
+            if (!text) continue;
+            try {
+                return this.parseRetention(text);
+            } catch (err) {
+                console.warn(`Ignoring history retention "${text}": ${err.message}`);
+            }
         }
+        return this.parseRetention('1000');
+    }
 
-        const entry = document.createElement('div');
-        entry.className = 'doc-entry';
-        if (!isHistory) entry.classList.add('new');
-
-        const time = new Date(data.timestamp);
-        const timeStr = time.toLocaleTimeString();
+    /**
+     * Switches to another retention and drops what it no longer keeps.
+     * @param {Object} retention - The retention (see `parseRetention()`).
+     */
+    setHistoryRetention(retention) {
+        this.historyRetention = retention;
+        this.renderHistoryInfo();
+        this.pruneHistory();
+    }
 
-        // Fallback for JSON view if server hasn't been restarted
-        let jsonData = data.json;
-        if (!jsonData && data.raw) {
-            if (data.raw.document) jsonData = data.raw.document;
-            else if (data.raw.updates) jsonData = data.raw.updates;
-            else if (data.raw.documentKey) jsonData = { documentKey: data.raw.documentKey };
-            else jsonData = data.raw;
+    /**
+     * Applies the retention typed in the sidebar; an empty field goes back to the server default.
+     */
+    applyHistoryRetention() {
+        const value = this.historyInput.value.trim();
+        try {
+            if (value) {
+                const retention = this.parseRetention(value);
+                localStorage.setItem('historyRetention', retention.text);
+                this.setHistoryRetention(retention);
+            } else {
+                localStorage.removeItem('historyRetention');
+                this.setHistoryRetention(this.parseStoredRetention());
+            }
+            this.historyInput.value = '';
+            this.historyError.textContent = '';
+        } catch (err) {
+            this.historyError.textContent = err.message;
         }
+    }
 
-        entry.innerHTML = `
-      <div class="doc-header">
-        <span class="operation-badge ${data.operation}">${data.operation}</span>
-        <span class="doc-namespace">${data.namespace}</span>
-        <span class="doc-timestamp">${timeStr}</span>
-      </div>
-      <div class="doc-content">
-        <div class="view-yaml">${this.highlightYaml(data.yaml)}</div>
-        <div class="view-json">${this.highlightJson(jsonData)}</div>
-      </div>
-    `;
-
-        entry.addEventListener('click', () => {
-            const contentDiv = entry.querySelector('.doc-content');
-            this.openModal(contentDiv, data);
-        });
-
-        this.screen.appendChild(entry);
-        this.screen.scrollTop = this.screen.scrollHeight;
+    /**
+     * Shows the retention in use under the history form.
+     */
+    renderHistoryInfo() {
+        const { text, count, maxAgeMs } = this.historyRetention;
+        const kept = maxAgeMs ? `events of the last ${text}` : `${count} events`;
+        const source = localStorage.getItem('historyRetention') ? '' : ' (server default)';
+        this.historyInfo.textContent = `Keeping ${kept} per pane${source}`;
+    }
 
-        if (!isHistory) {
-            setTimeout(() => entry.classList.remove('new'), 500);
+    /**
+     * Sends a pane's watch target and filter to the server.
+     * Without a selected database or watch list the server keeps the pane's current target and only applies the filter.
+     * @param {Object} [pane] - The pane; defaults to the active one.
+     * @param {Object|null} [startFrom] - Replay from this point (see `parseStartFrom()`) instead of starting live.
+     */
+    sendSelection(pane = this.activePane, startFrom = null) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+        const message = { type: 'selectCollection', pane: pane.id, filter: pane.filter };
+        if (startFrom) message.startFrom = startFrom;
+        if (pane.namespaces) {
+            message.namespaces = pane.namespaces;
+        } else if (pane.database) {
+            message.database = pane.database;
+            message.collection = pane.collection;
         }
+        this.ws.send(JSON.stringify(message));
     }
 
     /**
-     * Persists recent history to localStorage.
+     * Sends per-client display options (Extended JSON mode) to the server.
      */
-    saveHistory() {
-        localStorage.setItem('mongoTV_history', JSON.stringify(this.history));
-        localStorage.setItem('mongoTV_docCount', this.docCount);
+    sendOptions() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN || !this.ejsonMode) return;
+        this.ws.send(JSON.stringify({ type: 'setOptions', ejsonMode: this.ejsonMode }));
     }
 
     /**
-     * Loads history from localStorage.
+     * Fills the sidebar filter form from the active pane's filter.
      */
-    loadHistory() {
-        const storedHistory = localStorage.getItem('mongoTV_history');
-        const storedCount = localStorage.getItem('mongoTV_docCount');
+    renderFilterForm() {
+        const filter = this.activePane.filter || {};
+        this.filterOps.querySelectorAll('input').forEach(input => {
+            input.checked = (filter.operationTypes || []).includes(input.value);
+        });
+        this.filterMatch.value = filter.match ? JSON.stringify(filter.match) : '';
+        this.filterFields.value = (filter.fields || []).join(', ');
+        this.filterError.textContent = '';
+    }
 
-        if (storedCount) {
-            this.docCount = parseInt(storedCount, 10);
-            this.docCountEl.textContent = this.docCount;
-        }
+    /**
+     * Builds a filter from the sidebar form and sends it to the server for the active pane.
+     * The server validates it and answers with an error message if it rejects it.
+     */
+    applyFilter() {
+        const filter = {};
+
+        const operationTypes = [...this.filterOps.querySelectorAll('input:checked')].map(input => input.value);
+        if (operationTypes.length > 0) filter.operationTypes = operationTypes;
 
-        if (storedHistory) {
+        const matchText = this.filterMatch.value.trim();
+        if (matchText) {
             try {
-                const history = JSON.parse(storedHistory);
-                this.history = history;
-                history.forEach(data => this.renderEntry(data, true));
-            } catch (e) {
-                console.error('Failed to load history', e);
-                localStorage.removeItem('mongoTV_history');
+                filter.match = JSON.parse(matchText);
+            } catch (err) {
+                this.filterError.textContent = `Match is not valid JSON: ${err.message}`;
+                return;
             }
         }
-    }
 
-    /**
+        const fields = this.filterFields.value.split(',').map(f => f.trim()).filter(Boolean);
+        if (fields.length > 0) filter.fields = fields;
+
+        this.filterError.textContent = '';
+        this.activePane.filter = Object.keys(filter).length > 0 ? filter : null;
+        this.savePanes();
+
+        this.sendSelection();
+        this.closeSidebar();
+    }
+
+    /**
+     * Clears the active pane's server filter and re-watches its target unfiltered.
+     */
+    resetFilter() {
+        this.activePane.filter = null;
+        this.savePanes();
+        this.renderFilterForm();
+        this.sendSelection();
+    }
+
+    /**
+     * Restores the saved panes (target, filter and history of each) and activates the last active one.
+     * Without saved panes there is a single pane on the server's default target.
+     */
+    loadPanes() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem('watchPanes')) || [];
+        } catch (e) {
+            saved = [];
+        }
+
+        if (saved.length === 0) {
+            // Carry over the filter saved before there were panes
+            let filter = null;
+            try {
+                filter = JSON.parse(localStorage.getItem('watchFilter')) || null;
+            } catch (e) {
+                filter = null;
+            }
+            localStorage.removeItem('watchFilter');
+            saved = [{ id: 'main', filter }];
+        }
+
+        saved.forEach(settings => this.createPane(settings));
+        const active = localStorage.getItem('activePane');
+        this.activatePane(this.panes.has(active) ? active : saved[0].id);
+    }
+
+    /**
+     * Persists each pane's target and filter.
+     */
+    savePanes() {
+        const panes = [...this.panes.values()].map(({ id, database, collection, namespaces, filter }) =>
+            ({ id, database, collection, namespaces, filter }));
+        localStorage.setItem('watchPanes', JSON.stringify(panes));
+        this.syncUrl();
+    }
+
+    /**
+     * Creates a pane with its screen and tab, and loads its stored history.
+     * The `main` pane uses the screen from the page, every other pane gets its own.
+     * @param {Object} settings - Saved `id`, `database`, `collection`, `namespaces` and `filter`.
+     * @returns {Object} The pane.
+     */
+    createPane({ id, database = null, collection = null, namespaces = null, filter = null }) {
+        let screen = id === 'main' ? document.getElementById('screen') : null;
+        if (!screen) {
+            screen = document.createElement('main');
+            screen.className = 'tv-screen';
+            this.panesEl.appendChild(screen);
+        }
+        screen.innerHTML = '';
+
+        const pane = {
+            id,
+            database,
+            collection,
+            namespaces,
+            filter,
+            watching: null,
+            screen,
+            tab: document.createElement('button'),
+            welcome: null,
+            history: [],
+            // What the screen shows, oldest first: `{data}` for events, `{el}` for notices (see `renderPane()`)
+            items: [],
+            rendered: new Map(),
+            topSpacer: document.createElement('div'),
+            bottomSpacer: document.createElement('div'),
+            renderQueued: false,
+            followTail: true,
+            gridRowHeight: null,
+            matchCount: 0,
+            view: [],
+            columns: 1,
+            rowOffsets: [0],
+            cursor: null,
+            docCount: 0,
+            isPaused: false,
+            messageQueue: [],
+            invalidated: null,
+            catchingUp: null,
+            polling: false
+        };
+        this.panes.set(id, pane);
+
+        pane.topSpacer.className = 'screen-spacer';
+        pane.bottomSpacer.className = 'screen-spacer';
+        screen.appendChild(pane.topSpacer);
+        screen.appendChild(pane.bottomSpacer);
+        this.showWelcome(pane, 'Waiting for documents...', 'Insert, update, or delete something in your MongoDB!');
+
+        // Stay at the newest entry unless the user scrolled up to older ones
+        screen.addEventListener('scroll', () => {
+            pane.followTail = screen.scrollTop + screen.clientHeight >= screen.scrollHeight - 40;
+            this.scheduleRender(pane);
+        });
+
+        // In split view, working in a pane makes it the active one
+        screen.addEventListener('mousedown', () => {
+            if (this.activePane !== pane) this.activatePane(id);
+        });
+
+        pane.tab.className = 'pane-tab';
+        pane.tab.innerHTML = `
+      <span class="pane-tab-label"></span>
+      <span class="pane-tab-count">0</span>
+      <span class="pane-tab-close" title="Close pane">&times;</span>
+    `;
+        pane.tab.addEventListener('click', (e) => {
+            if (e.target.classList.contains('pane-tab-close')) {
+                this.closePane(id);
+            } else {
+                this.activatePane(id);
+            }
+        });
+        this.paneTabList.appendChild(pane.tab);
+
+        // Panes restored before sign-in load their history in `start()`
+        pane.historyLoaded = this.signedIn ? this.loadHistory(pane) : Promise.resolve();
+        this.updatePaneTab(pane);
+        this.paneTabList.classList.toggle('single', this.panes.size === 1);
+        return pane;
+    }
+
+    /**
+     * Opens a new pane on the server's default target and lets the user pick what it watches.
+     */
+    addPane() {
+        const pane = this.createPane({ id: `pane-${Date.now().toString(36)}` });
+        this.activatePane(pane.id);
+        this.savePanes();
+        this.sendSelection(pane);
+        if (this.canSwitchTargets()) this.openSidebar();
+    }
+
+    /**
+     * Closes a pane and stops its server-side watch. The last pane can't be closed.
+     * @param {string} id - Pane id.
+     */
+    closePane(id) {
+        const pane = this.panes.get(id);
+        if (!pane || this.panes.size === 1) return;
+
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'closePane', pane: id }));
+        }
+
+        this.panes.delete(id);
+        pane.screen.remove();
+        pane.tab.remove();
+        this.deleteStoredHistory(pane);
+        localStorage.removeItem(this.historyKey(pane, 'docCount'));
+        this.paneTabList.classList.toggle('single', this.panes.size === 1);
+
+        if (this.activePane === pane) {
+            this.activatePane(this.panes.keys().next().value);
+        }
+        this.savePanes();
+    }
+
+    /**
+     * Makes a pane the one the toolbar, footer and sidebar act on, and shows it.
+     * @param {string} id - Pane id.
+     */
+    activatePane(id) {
+        const pane = this.panes.get(id);
+        this.activePane = pane;
+
+        this.panes.forEach(other => {
+            other.screen.classList.toggle('active', other === pane);
+            other.tab.classList.toggle('active', other === pane);
+        });
+
+        this.renderDocCount(pane);
+        this.watchingTarget.textContent = this.paneLabel(pane);
+        this.scheduleRender(pane);
+        this.pauseIcon.innerHTML = pane.isPaused ? this.playSvg : this.pauseSvg;
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.refreshStatus();
+        }
+
+        this.renderFilterForm();
+        this.watchListInput.value = pane.namespaces ? pane.namespaces.join(', ') : '';
+        this.watchListError.textContent = '';
+        localStorage.setItem('activePane', id);
+        this.syncUrl();
+    }
+
+    /**
+     * Describes what a pane watches, as the server reported it (or as requested until it does).
+     * @param {Object} pane - The pane.
+     * @returns {string} e.g. `shop.orders (filtered)`.
+     */
+    paneLabel(pane) {
+        let label = pane.watching;
+        if (!label && pane.namespaces) label = pane.namespaces.join(', ');
+        if (!label && pane.database) label = pane.collection && pane.collection !== '*' ? `${pane.database}.${pane.collection}` : `${pane.database}.*`;
+        if (!label) return '...';
+        return pane.filter ? `${label} (filtered)` : label;
+    }
+
+    /**
+     * Refreshes a pane's tab (label, counter, paused state) and, for the active pane, the footer.
+     * @param {Object} pane - The pane.
+     */
+    updatePaneTab(pane) {
+        const label = this.paneLabel(pane);
+        pane.tab.title = label;
+        pane.tab.querySelector('.pane-tab-label').textContent = label;
+        pane.tab.querySelector('.pane-tab-count').textContent = pane.docCount;
+        pane.tab.classList.toggle('paused', pane.isPaused);
+        pane.tab.classList.toggle('invalidated', !!pane.invalidated);
+        pane.tab.classList.toggle('catching-up', !!pane.catchingUp);
+        pane.tab.classList.toggle('polling', pane.polling);
+
+        if (pane === this.activePane) {
+            this.renderDocCount(pane);
+            this.watchingTarget.textContent = label;
+        }
+    }
+
+    /**
+     * Shows the active pane's counter in the footer, with the number of entries matching the search while there is one.
+     * @param {Object} pane - The active pane.
+     */
+    renderDocCount(pane) {
+        const matches = `${pane.matchCount} ${pane.matchCount === 1 ? 'match' : 'matches'}`;
+        this.docCountEl.textContent = this.search ? `${matches} of ${pane.docCount}` : pane.docCount;
+    }
+
+    /**
+     * Toggles between showing only the active pane (tabs) and all panes side by side.
+     */
+    toggleSplitPanes() {
+        this.splitPanes = !this.splitPanes;
+        document.body.classList.toggle('split-panes', this.splitPanes);
+        this.splitPanesBtn.classList.toggle('active', this.splitPanes);
+        localStorage.setItem('splitPanes', this.splitPanes);
+        this.panes.forEach(pane => this.scheduleRender(pane));
+    }
+
+    /**
+     * Shows the placeholder of an empty pane.
+     * @param {Object} pane - The pane.
+     * @param {string} message - Main line.
+     * @param {string} hint - Second line.
+     */
+    showWelcome(pane, message, hint) {
+        const welcome = document.createElement('div');
+        welcome.className = 'welcome-message';
+        welcome.innerHTML = `
+      <div class="tv-static"></div>
+      <p>${message}</p>
+      <p class="hint">${hint}</p>
+    `;
+        pane.screen.insertBefore(welcome, pane.topSpacer);
+        pane.welcome = welcome;
+    }
+
+    /**
+     * Establishes WebSocket connection to the server.
+     * Handles automatic reconnection on disconnect.
+     */
+    connect() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const wsUrl = `${protocol}//${window.location.host}`;
+
+        this.ws = new WebSocket(wsUrl);
+
+        this.ws.onopen = () => {
+            this.setStatus('connected', 'Connected');
+            this.sendOptions();
+
+            // Each connection owns its own watches; restore our panes after a reconnect.
+            // The server opens the `main` pane on the default target by itself.
+            this.panes.forEach(pane => {
+                if (pane.id !== 'main' || pane.database || pane.namespaces || pane.filter) {
+                    this.sendSelection(pane);
+                }
+            });
+            if (!this.panes.has('main')) {
+                this.ws.send(JSON.stringify({ type: 'closePane', pane: 'main' }));
+            }
+        };
+
+        this.ws.onclose = () => {
+            this.setStatus('disconnected', 'Disconnected');
+            // Auto-reconnect after 3 seconds, unless the session expired and the user has to log in again
+            setTimeout(async () => {
+                if (await this.checkSession()) this.connect();
+            }, 3000);
+        };
+
+        this.ws.onerror = (error) => {
+            console.error('WebSocket error:', error);
+            this.setStatus('disconnected', 'Error');
+        };
+
+        this.ws.onmessage = (event) => {
+            const data = JSON.parse(event.data);
+            this.handleMessage(data);
+        };
+    }
+
+    /**
+     * Routes incoming WebSocket messages to appropriate handlers.
+     * @param {Object} data - Parsed WebSocket message.
+     */
+    handleMessage(data) {
+        // Messages about a pane name it; the rest go to the active pane.
+        // Messages for a pane closed while they were in flight are dropped.
+        const pane = data.pane ? this.panes.get(data.pane) : this.activePane;
+        if (!pane) return;
+
+        switch (data.type) {
+            case 'welcome':
+                console.log(data.message);
+                break;
+
+            case 'status':
+                // Any other status means the pane is watching again
+                if (pane.invalidated && data.status !== 'invalidated') {
+                    pane.invalidated = null;
+                    if (pane === this.activePane) this.refreshStatus();
+                }
+                if (data.watching) {
+                    pane.watching = data.watching;
+                    this.updatePaneTab(pane);
+                }
+                if (data.status === 'connected') {
+                    pane.catchingUp = data.startFrom ? { startFrom: data.startFrom, position: null } : null;
+                    if (data.polling && !pane.polling) {
+                        this.displayNotice('Polling mode: change streams are unavailable, so changes are found by querying periodically', pane);
+                    }
+                    pane.polling = !!data.polling;
+                    this.updatePaneTab(pane);
+                    if (data.startFrom) {
+                        this.displayNotice(`Replaying events from ${this.formatStartFrom(data.startFrom)}...`, pane);
+                    }
+                } else if (data.status === 'catchingUp') {
+                    pane.catchingUp = { startFrom: data.startFrom, position: data.position };
+                } else if (data.status === 'caughtUp' && pane.catchingUp) {
+                    pane.catchingUp = null;
+                    this.updatePaneTab(pane);
+                    this.displayNotice('Caught up, showing live events', pane);
+                }
+                if (pane === this.activePane) this.refreshStatus();
+
+                if (data.status === 'invalidated') {
+                    this.handleInvalidated(data, pane);
+                } else if (data.status === 'resumed') {
+                    this.displayNotice(`Stream resumed from ${new Date(data.resumedFrom).toLocaleString()}`, pane);
+                } else if (data.status === 'gap') {
+                    this.displayError(data.message, pane);
+                } else if (data.status === 'followFailed') {
+                    // The server kept the pane on the old name after all
+                    this.followRename(pane, { database: data.database, collection: data.collection }, false);
+                    this.displayError(data.message, pane);
+                }
+                break;
+
+            case 'change':
+                // Replayed events are not live: no sounds or alerts, and they stay out of the rate
+                this.recordDashboardEvent(data, !pane.catchingUp);
+                if (pane.isPaused) {
+                    pane.messageQueue.push(data);
+                } else {
+                    this.displayChange(data, !!pane.catchingUp, pane);
+                }
+                break;
+
+            case 'batch':
+                this.handleBatch(data.messages);
+                break;
+
+            case 'skipped':
+                this.displaySkipped(data, pane);
+                break;
+
+            case 'backlog':
+                this.displayBacklog(data.events, pane);
+                break;
+
+            case 'error':
+                this.displayError(data.message, pane);
+                break;
+
+            case 'webhookStatus':
+                this.webhookStatuses.set(data.sink.name, data.sink.status);
+                this.updateWebhooksButton();
+                break;
+        }
+    }
+
+    /**
+     * Handles a batch frame (everything the server queued for us during one batch interval).
+     * Consecutive change events are rendered per pane in one go; other messages are handled in between, in order.
+     * @param {Array<Object>} messages - The batched messages.
+     */
+    handleBatch(messages) {
+        const changes = new Map();
+        const flush = () => {
+            changes.forEach((events, pane) => {
+                if (pane.isPaused) {
+                    pane.messageQueue.push(...events);
+                } else {
+                    this.displayChanges(events, !!pane.catchingUp, pane);
+                }
+            });
+            changes.clear();
+        };
+
+        messages.forEach(data => {
+            if (data.type !== 'change') {
+                flush();
+                this.handleMessage(data);
+                return;
+            }
+
+            const pane = this.panes.get(data.pane);
+            if (!pane) return;
+            this.recordDashboardEvent(data, !pane.catchingUp);
+            if (!changes.has(pane)) changes.set(pane, []);
+            changes.get(pane).push(data);
+        });
+        flush();
+    }
+
+    /**
+     * Displays recent events the server replays when a pane starts watching a target.
+     * Only events newer than the pane's own history are shown, so reconnects don't duplicate entries.
+     * @param {Array<Object>} events - `change` messages, oldest first.
+     * @param {Object} [pane] - The pane; defaults to the active one.
+     */
+    displayBacklog(events, pane = this.activePane) {
+        const last = pane.history[pane.history.length - 1];
+        const seen = new Set(pane.history.map(h => h.id));
+
+        const fresh = events.filter(data => !seen.has(data.id) && (!last || data.timestamp > last.timestamp));
+        fresh.forEach(data => this.recordDashboardEvent(data, false));
+        if (pane.isPaused) {
+            pane.messageQueue.push(...fresh);
+        } else {
+            this.displayChanges(fresh, true, pane);
+        }
+    }
+
+    /**
+     * Displays a change event in a pane's stream.
+     * @param {Object} data - The change event data.
+     * @param {boolean} silent - Skip the sound (used for replayed events).
+     * @param {Object} [pane] - The pane; defaults to the active one.
+     */
+    displayChange(data, silent = false, pane = this.activePane) {
+        this.displayChanges([data], silent, pane);
+    }
+
+    /**
+     * Displays change events in a pane's stream; only the entries in view are rendered (see `renderPane()`).
+     * Updates counters, history, and plays at most one sound.
+     * @param {Array<Object>} events - The change events, oldest first.
+     * @param {boolean} silent - Skip the sound (used for replayed events).
+     * @param {Object} [pane] - The pane; defaults to the active one.
+     */
+    displayChanges(events, silent = false, pane = this.activePane) {
+        if (events.length === 0) return;
+
+        // Update count
+        pane.docCount += events.length;
+        this.updatePaneTab(pane);
+
+        // Add to history and the screen, and store only the new events
+        pane.history.push(...events);
+        this.appendItems(pane, events.map(data => ({ data, fresh: true })));
+        this.trimHistory(pane);
+        this.saveHistory(pane, events);
+
+        events.forEach(data => {
+            this.recordSchema(data).forEach(drift => {
+                this.displayNotice(`Type drift in ${data.namespace}: ${drift.path} was ${drift.from.join('/')}, now ${drift.to}`, pane);
+            });
+        });
+
+        if (silent) return;
+
+        // Alerts bring their own sound (the first rule with one); the operation beep is for everything else
+        let alerted = false;
+        let alertSound = null;
+        events.forEach(data => {
+            const alerts = this.matchAlertRules(data);
+            if (alerts.length === 0) return;
+            this.raiseAlerts(data, alerts);
+            alerted = true;
+            const withSound = alerts.find(rule => rule.sound !== 'none');
+            if (withSound && !alertSound) alertSound = withSound.sound;
+        });
+
+        if (alertSound) {
+            this.playAlertSound(alertSound);
+        } else if (!alerted && this.soundEnabled) {
+            this.playSound(events[events.length - 1].operation);
+        }
+    }
+
+    /**
+     * Builds the element of a single document entry.
+     * @param {Object} data - The change event data.
+     * @param {boolean} isHistory - Whether this is an event seen before (disables animations).
+     * @returns {HTMLElement} The entry.
+     */
+    createEntry(data, isHistory = false) {
+        const entry = document.createElement('div');
+        entry.className = 'doc-entry';
+        if (!isHistory) entry.classList.add('new');
+
+        const time = new Date(data.timestamp);
+        const timeStr = time.toLocaleTimeString();
+
+        // Fallback for JSON view if server hasn't been restarted
+        let jsonData = data.json;
+        if (!jsonData && data.raw) {
+            if (data.raw.document) jsonData = data.raw.document;
+            else if (data.raw.updates) jsonData = data.raw.updates;
+            else if (data.raw.documentKey) jsonData = { documentKey: data.raw.documentKey };
+            else jsonData = data.raw;
+        }
+
+        const alerts = this.matchAlertRules(data);
+        entry.classList.toggle('alerted', alerts.length > 0);
+
+        entry.innerHTML = `
+      <div class="doc-header">
+        <span class="operation-badge ${data.operation}">${data.operation}</span>
+        <span class="doc-namespace">${data.namespace}</span>
+        ${alerts.map(rule => `<span class="alert-badge">${this.escapeHtml(rule.name)}</span>`).join('')}
+        ${this.renderRedactedBadge(data.redacted)}
+        <span class="doc-timestamp">${timeStr}</span>
+      </div>
+      <div class="doc-content">
+        ${this.renderDiff(data)}
+        <div class="view-yaml">${this.highlightSearch(this.highlightYaml(data.yaml))}</div>
+        <div class="view-json">${this.highlightSearch(this.highlightJson(jsonData))}</div>
+      </div>
+    `;
+
+        if (data.id) {
+            entry.dataset.id = data.id;
+            entry.classList.toggle('selected', this.selectedIds.has(data.id));
+        }
+
+        entry.addEventListener('click', (e) => {
+            // Ctrl/Cmd+click selects entries for export instead of opening them
+            if ((e.ctrlKey || e.metaKey) && data.id) {
+                this.toggleSelection(entry, data.id);
+                return;
+            }
+            const contentDiv = entry.querySelector('.doc-content');
+            this.openModal(contentDiv, data);
+        });
+
+        if (!isHistory) {
+            setTimeout(() => entry.classList.remove('new'), 500);
+        }
+        return entry;
+    }
+
+    /**
+     * Adds entries to the end of a pane's screen.
+     * @param {Object} pane - The pane.
+     * @param {Array<Object>} items - `{data, fresh}` for change events, `{el}` for notices.
+     */
+    appendItems(pane, items) {
+        // Remove welcome message on first entry
+        if (pane.welcome && items.some(item => item.data)) {
+            pane.welcome.remove();
+            pane.welcome = null;
+        }
+        pane.items.push(...items);
+        this.scheduleRender(pane);
+    }
+
+    /**
+     * Renders a pane on the next frame, once however often it is asked for.
+     * @param {Object} pane - The pane.
+     */
+    scheduleRender(pane) {
+        if (pane.renderQueued) return;
+        pane.renderQueued = true;
+        requestAnimationFrame(() => {
+            pane.renderQueued = false;
+            if (this.panes.get(pane.id) === pane) this.renderPane(pane);
+        });
+    }
+
+    /**
+     * Renders only the entries of a pane that are in or near the viewport; spacers stand in for the rest,
+     * so a pane can hold tens of thousands of entries. Entry heights are measured once they have been shown
+     * (grid cards all have the same height). Follows the newest entry unless the user scrolled away from it.
+     * While searching, only matching events are shown.
+     * @param {Object} pane - The pane.
+     */
+    renderPane(pane) {
+        const { screen } = pane;
+        const items = this.search ? pane.items.filter(item => this.itemMatches(item)) : pane.items;
+        pane.matchCount = items.length;
+        if (pane === this.activePane) this.renderDocCount(pane);
+
+        const grid = this.layoutMode === 'grid';
+        const style = grid ? getComputedStyle(screen) : null;
+        const columns = grid ? Math.max(style.gridTemplateColumns.split(' ').filter(Boolean).length, 1) : 1;
+        const gap = grid ? parseFloat(style.rowGap) || 0 : 0;
+
+        // Row offsets; a list row is one entry
+        const rowCount = Math.ceil(items.length / columns);
+        const offsets = new Array(rowCount + 1);
+        offsets[0] = 0;
+        for (let row = 0; row < rowCount; row++) {
+            const height = grid ? pane.gridRowHeight : items[row].height;
+            offsets[row + 1] = offsets[row] + (height ?? this.ESTIMATED_ENTRY_HEIGHT);
+        }
+        const total = offsets[rowCount];
+
+        // The window of rows to render
+        const viewport = screen.clientHeight;
+        const scrollTop = pane.followTail ? Math.max(total - viewport, 0) : screen.scrollTop;
+        let first = 0;
+        while (first < rowCount && offsets[first + 1] < scrollTop - this.RENDER_OVERSCAN) first++;
+        let last = first;
+        while (last < rowCount && offsets[last] < scrollTop + viewport + this.RENDER_OVERSCAN) last++;
+
+        const visible = items.slice(first * columns, last * columns);
+        const keep = new Set(visible);
+        pane.rendered.forEach((el, item) => {
+            if (keep.has(item)) return;
+            el.remove();
+            pane.rendered.delete(item);
+        });
+
+        // Insert missing entries in order, right before the bottom spacer
+        let next = pane.bottomSpacer;
+        for (let i = visible.length - 1; i >= 0; i--) {
+            const item = visible[i];
+            let el = pane.rendered.get(item);
+            if (!el) {
+                el = item.el || this.createEntry(item.data, !item.fresh);
+                item.fresh = false;
+                pane.rendered.set(item, el);
+            }
+            el.classList.toggle('cursor', item === pane.cursor);
+            if (el.nextSibling !== next) screen.insertBefore(el, next);
+            next = el;
+        }
+
+        // In a grid the spacers are rows of their own, with a gap after them
+        const spacer = (el, height) => {
+            el.style.display = height > 0 ? '' : 'none';
+            el.style.height = `${Math.max(height - gap, 0)}px`;
+        };
+        spacer(pane.topSpacer, offsets[first]);
+        spacer(pane.bottomSpacer, total - offsets[last]);
+
+        // Measure what was rendered (not while the pane is hidden); estimates are replaced by real heights
+        // as entries come into view. Hidden errors measure 0.
+        if (viewport > 0 && grid) {
+            const el = visible.length > 0 ? pane.rendered.get(visible[0]) : null;
+            if (el && el.offsetHeight) pane.gridRowHeight = el.offsetHeight + gap;
+        } else if (viewport > 0) {
+            visible.forEach(item => {
+                item.height = pane.rendered.get(item).offsetHeight;
+            });
+        }
+
+        // Kept for moving the entry cursor (see `moveCursor()`)
+        pane.view = items;
+        pane.columns = columns;
+        pane.rowOffsets = offsets;
+
+        if (pane.followTail) {
+            screen.scrollTop = screen.scrollHeight;
+        }
+    }
+
+    /**
+     * Re-renders the entries of every pane, e.g. after the alert rules changed their badges or the search its highlights.
+     */
+    rerenderEntries() {
+        this.panes.forEach(pane => {
+            pane.rendered.forEach((el, item) => {
+                if (!item.data) return;
+                el.remove();
+                pane.rendered.delete(item);
+            });
+            this.renderPane(pane);
+        });
+    }
+
+    /**
+     * Applies the search bar to every pane: live events and the history alike.
+     */
+    applySearch() {
+        clearTimeout(this.searchTimer);
+        const search = this.parseSearch(this.searchInput.value);
+        if (JSON.stringify(search) === JSON.stringify(this.search)) return;
+
+        this.search = search;
+        this.searchVersion++;
+        this.searchInput.classList.toggle('active', !!search);
+
+        // Highlight free text and the values of field expressions
+        const terms = search ? search.text.concat(search.fields.map(field => field.value).filter(value => value !== '*')) : [];
+        const escaped = terms.map(term => this.escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        this.searchPattern = escaped.length > 0 ? new RegExp(`(${escaped.join('|')})|&[#\\w]+;`, 'gi') : null;
+
+        // Show the newest matches first
+        this.panes.forEach(pane => {
+            pane.followTail = true;
+        });
+        this.rerenderEntries();
+        this.syncUrl();
+    }
+
+    /**
+     * Parses a search: free text, `op:DELETE`, `ns:shop.orders` (or `shop.*`) and field expressions like `user.id:123`
+     * (`field:*` for any value). Quotes keep spaces and colons in a term (`"out of stock"`, `status:"on hold"`).
+     * Every term has to match, except that several `op:` or `ns:` values (repeated or comma-separated) are alternatives.
+     * @param {string} text - What was typed.
+     * @returns {Object|null} `{text, operations, namespaces, fields}`, or null when empty.
+     */
+    parseSearch(text) {
+        const tokens = text.match(/(?:[^\s"]+|"[^"]*"?)+/g) || [];
+        const search = { text: [], operations: [], namespaces: [], fields: [] };
+        const unquote = value => value.replace(/"/g, '');
+
+        tokens.forEach(token => {
+            const expression = /^([\w$.-]+):(.+)$/.exec(token);
+            if (!expression) {
+                if (unquote(token)) search.text.push(unquote(token).toLowerCase());
+                return;
+            }
+
+            const key = expression[1].toLowerCase();
+            const value = unquote(expression[2]);
+            if (key === 'op' || key === 'operation') {
+                search.operations.push(...value.toUpperCase().split(',').filter(Boolean));
+            } else if (key === 'ns' || key === 'namespace') {
+                search.namespaces.push(...value.split(',').filter(Boolean));
+            } else {
+                search.fields.push({ path: expression[1], value: value.toLowerCase() });
+            }
+        });
+
+        const empty = Object.values(search).every(terms => terms.length === 0);
+        return empty ? null : search;
+    }
+
+    /**
+     * Whether an entry is shown under the current search. Notices are hidden while searching.
+     * The result is cached on the entry until the search changes.
+     * @param {Object} item - A pane item (see `appendItems()`).
+     * @returns {boolean} Whether it matches.
+     */
+    itemMatches(item) {
+        if (!this.search) return true;
+        if (!item.data) return false;
+        if (item.searchVersion !== this.searchVersion) {
+            item.searchMatch = this.eventMatchesSearch(item.data, this.search);
+            item.searchVersion = this.searchVersion;
+        }
+        return item.searchMatch;
+    }
+
+    /**
+     * Matches an event against a search.
+     * Field expressions look values up like alert conditions (see `alertFieldValue()`) and compare them as text, ignoring case.
+     * @param {Object} data - `change` message.
+     * @param {Object} search - Output of `parseSearch()`.
+     * @returns {boolean} Whether it matches.
+     */
+    eventMatchesSearch(data, search) {
+        if (search.operations.length > 0 && !search.operations.includes(data.operation)) return false;
+        if (search.namespaces.length > 0 && !search.namespaces.some(pattern => this.namespaceMatches(data.namespace, pattern))) return false;
+
+        const fieldMatches = ({ path, value }) => {
+            const matches = (actual) => {
+                if (actual === undefined || actual === null) return value === 'null' && actual === null;
+                if (value === '*') return true;
+                if (Array.isArray(actual)) return actual.some(element => matches(this.plainValue(element)));
+                if (typeof actual === 'object') return JSON.stringify(actual).toLowerCase().includes(value);
+                return String(actual).toLowerCase() === value;
+            };
+            return matches(this.alertFieldValue(data, path));
+        };
+        if (!search.fields.every(fieldMatches)) return false;
+
+        if (search.text.length === 0) return true;
+        const haystack = `${data.operation} ${data.namespace} ${data.yaml || JSON.stringify(data.json)}`.toLowerCase();
+        return search.text.every(term => haystack.includes(term));
+    }
+
+    /**
+     * Marks the search terms in highlighted YAML/JSON, leaving tags and entities alone.
+     * @param {string} html - Output of `highlightYaml()` or `highlightJson()`.
+     * @returns {string} HTML with `<mark>`s.
+     */
+    highlightSearch(html) {
+        if (!this.searchPattern) return html;
+        return html.split(/(<[^>]*>)/).map(part => (part.startsWith('<')
+            ? part
+            : part.replace(this.searchPattern, (match, term) => (term ? `<mark class="search-match">${term}</mark>` : match))
+        )).join('');
+    }
+
+    /**
+     * Escapes text for safe insertion into HTML.
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Computes field-level differences between two documents.
+     * Arrays are compared element by element.
+     * @returns {Array<{path: string, kind: string, before: *, after: *}>} Changes (`added`, `removed`, `changed`).
+     */
+    diffDocuments(before, after, path = '', changes = []) {
+        // Extended JSON wrappers ({"$oid": ...}, {"$date": ...}) are compared as single values
+        const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !this.ejsonType(v);
+
+        if (Array.isArray(before) && Array.isArray(after)) {
+            const length = Math.max(before.length, after.length);
+            for (let i = 0; i < length; i++) {
+                const itemPath = `${path}[${i}]`;
+                if (i >= before.length) {
+                    changes.push({ path: itemPath, kind: 'added', after: after[i] });
+                } else if (i >= after.length) {
+                    changes.push({ path: itemPath, kind: 'removed', before: before[i] });
+                } else {
+                    this.diffDocuments(before[i], after[i], itemPath, changes);
+                }
+            }
+            return changes;
+        }
+
+        if (isPlainObject(before) && isPlainObject(after)) {
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            keys.forEach(key => {
+                const keyPath = path ? `${path}.${key}` : key;
+                if (!(key in before)) {
+                    changes.push({ path: keyPath, kind: 'added', after: after[key] });
+                } else if (!(key in after)) {
+                    changes.push({ path: keyPath, kind: 'removed', before: before[key] });
+                } else {
+                    this.diffDocuments(before[key], after[key], keyPath, changes);
+                }
+            });
+            return changes;
+        }
+
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            changes.push({ path, kind: 'changed', before, after });
+        }
+        return changes;
+    }
+
+    /**
+     * Renders the before/after diff for update and replace events.
+     * Uses the pre-image when the server sent one, otherwise falls back to the update description.
+     * @param {Object} data - The change event data.
+     * @returns {string} HTML, or an empty string when there is nothing to diff.
+     */
+    renderDiff(data) {
+        if (!['UPDATE', 'REPLACE'].includes(data.operation) || !data.raw) return '';
+
+        const { before, document: after, updates } = data.raw;
+        let changes;
+        let note = '';
+
+        if (before && after) {
+            changes = this.diffDocuments(before, after);
+        } else if (updates) {
+            changes = [
+                ...Object.entries(updates.updatedFields || {}).map(([path, value]) => ({ path, kind: 'set', after: value })),
+                ...(updates.removedFields || []).map(path => ({ path, kind: 'removed' }))
+            ];
+            note = 'No pre-image: showing updated fields only';
+        } else {
+            return '';
+        }
+
+        const lines = this.renderDiffLines(changes);
+
+        // Arrays shortened in place are reported separately in the update description
+        ((updates && updates.truncatedArrays) || []).forEach(t => {
+            lines.push(`<div class="diff-line diff-truncated">&hellip; <span class="diff-path">${this.escapeHtml(t.field)}</span> truncated to ${t.newSize} element${t.newSize === 1 ? '' : 's'}</div>`);
+        });
+
+        if (lines.length === 0) {
+            lines.push('<div class="diff-line diff-note">No field changes</div>');
+        }
+        if (note) {
+            lines.push(`<div class="diff-line diff-note">${note}</div>`);
+        }
+
+        return `<div class="doc-diff">${lines.join('')}</div>`;
+    }
+
+    /**
+     * Renders field changes (see `diffDocuments()`) as diff lines.
+     * @param {Array<{path: string, kind: string, before: *, after: *}>} changes - The changes; `set` means the old value is unknown.
+     * @returns {string[]} HTML, one line per change.
+     */
+    renderDiffLines(changes) {
+        const format = (value) => {
+            if (value === undefined) return '';
+            const bsonType = this.ejsonType(value);
+            const text = this.escapeHtml(JSON.stringify(value));
+            return bsonType ? `<span class="bson-type bson-${bsonType[0]}" title="${bsonType[1]}">${text}</span>` : text;
+        };
+        return changes.map(change => {
+            const path = `<span class="diff-path">${this.escapeHtml(change.path)}</span>`;
+            switch (change.kind) {
+                case 'added':
+                    return `<div class="diff-line diff-added">+ ${path} <span class="diff-new">${format(change.after)}</span></div>`;
+                case 'removed':
+                    return `<div class="diff-line diff-removed">- ${path}${change.before !== undefined ? ` <span class="diff-old">${format(change.before)}</span>` : ''}</div>`;
+                case 'changed':
+                    return `<div class="diff-line diff-changed">~ ${path} <span class="diff-old">${format(change.before)}</span> &rarr; <span class="diff-new">${format(change.after)}</span></div>`;
+                default:
+                    return `<div class="diff-line diff-changed">~ ${path} <span class="diff-new">${format(change.after)}</span></div>`;
+            }
+        });
+    }
+
+    /**
+     * Renders the header badge listing fields the server redacted from an event.
+     * @param {Array<{path: string, mode: string}>} [redacted] - Redacted paths.
+     * @returns {string} HTML (empty when nothing was redacted).
+     */
+    renderRedactedBadge(redacted) {
+        if (!redacted || redacted.length === 0) return '';
+        const title = redacted.map(({ path, mode }) => `${path} (${mode})`).join('\n');
+        return `<span class="redacted-badge" title="${this.escapeHtml(title)}">REDACTED ${redacted.length}</span>`;
+    }
+
+    /**
+     * Whether a string is a replacement produced by server-side redaction (`hash` or `mask` mode).
+     * @param {string} text - String value.
+     * @returns {boolean} Whether it looks redacted.
+     */
+    isRedactedValue(text) {
+        return /^\[hash:[0-9a-f]{16}\]$/.test(text) || /^\*{4,}[^*]{0,8}$/.test(text);
+    }
+
+    /**
+     * Colors the webhooks button by the worst sink status.
+     */
+    updateWebhooksButton() {
+        const statuses = [...this.webhookStatuses.values()];
+        this.webhooksBtn.classList.toggle('webhooks-retrying', statuses.includes('retrying') && !statuses.includes('failing'));
+        this.webhooksBtn.classList.toggle('webhooks-failing', statuses.includes('failing'));
+    }
+
+    /**
+     * Opens the webhook delivery status in the modal, refreshing it while it stays open.
+     */
+    openWebhooksDialog() {
+        this.modalTitle.textContent = 'Webhook Deliveries';
+        this.modalBody.innerHTML = '<div class="webhooks-table"><div class="sidebar-loading">Loading...</div></div>';
+        this.detailModal.classList.add('open');
+
+        this.refreshWebhooks();
+        clearInterval(this.webhooksRefreshTimer);
+        this.webhooksRefreshTimer = setInterval(() => this.refreshWebhooks(), 2000);
+    }
+
+    /**
+     * Fetches sink statuses and renders them into the open webhooks dialog.
+     */
+    async refreshWebhooks() {
+        const container = this.modalBody.querySelector('.webhooks-table');
+        if (!container) return;
+
+        try {
+            const response = await fetch('/api/webhooks');
+            const sinks = await response.json();
+            if (!response.ok) throw new Error(sinks.error || `HTTP ${response.status}`);
+
+            sinks.forEach(sink => this.webhookStatuses.set(sink.name, sink.status));
+            this.updateWebhooksButton();
+
+            const time = (iso) => iso ? new Date(iso).toLocaleTimeString() : '-';
+            container.innerHTML = sinks.length === 0 ? '<div class="sidebar-loading">No webhooks</div>' : `
+        <table>
+          <thead>
+            <tr><th>Sink</th><th>Status</th><th>Pending</th><th>Delivered</th><th>Retries</th><th>Failed</th><th>Last Delivery</th></tr>
+          </thead>
+          <tbody>
+            ${sinks.map(sink => `
+            <tr>
+              <td>
+                <div class="webhook-name">${this.escapeHtml(sink.name)}</div>
+                <div class="webhook-detail">${this.escapeHtml(sink.url)}</div>
+                <div class="webhook-detail">${this.escapeHtml(sink.namespaces.join(', '))}${sink.operations ? ` &middot; ${this.escapeHtml(sink.operations.join(', '))}` : ''}</div>
+              </td>
+              <td>
+                <span class="webhook-status ${sink.status}">${sink.status.toUpperCase()}</span>
+                ${sink.lastError ? `<div class="webhook-detail webhook-error">${this.escapeHtml(sink.lastError)}</div>` : ''}
+              </td>
+              <td>${sink.pending}</td>
+              <td>${sink.delivered}</td>
+              <td>${sink.retries}</td>
+              <td>${sink.failed}</td>
+              <td>${time(sink.lastDeliveredAt)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      `;
+        } catch (err) {
+            container.innerHTML = `<div class="sidebar-loading">Failed to load webhooks: ${this.escapeHtml(err.message)}</div>`;
+        }
+    }
+
+    /**
+     * Opens the server diagnostics in the modal, refreshing them while it stays open.
+     */
+    openDiagnosticsDialog() {
+        this.modalTitle.textContent = 'Diagnostics';
+        this.modalBody.innerHTML = '<div class="diagnostics"><div class="sidebar-loading">Checking...</div></div>';
+        this.detailModal.classList.add('open');
+
+        this.refreshDiagnostics();
+        clearInterval(this.diagnosticsRefreshTimer);
+        this.diagnosticsRefreshTimer = setInterval(() => this.refreshDiagnostics(), 5000);
+    }
+
+    /**
+     * Fetches the diagnostics report and renders a summary into the open diagnostics dialog.
+     * @param {boolean} [force=false] - Ask the server to probe again rather than reuse recent results.
+     */
+    async refreshDiagnostics(force = false) {
+        const container = this.modalBody.querySelector('.diagnostics');
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/diagnostics${force ? '?refresh=1' : ''}`);
+            const report = await response.json();
+            if (!response.ok) throw new Error(report.error || `HTTP ${response.status}`);
+
+            this.diagnosticsBtn.classList.toggle('diagnostics-failing', !report.ready);
+
+            const time = (iso) => iso ? new Date(iso).toLocaleString() : '-';
+            const flag = (ok, text = ok ? 'OK' : 'FAIL') => `<span class="diagnostics-status ${ok ? 'ok' : 'failing'}">${text}</span>`;
+            const { mongodb, oplog } = report;
+            const deployment = mongodb.deployment;
+
+            container.innerHTML = `
+        <div class="diagnostics-summary">
+          ${flag(report.ready, report.ready ? 'READY' : 'NOT READY')}
+          <button type="button" class="btn-small" data-action="refresh">RE-CHECK</button>
+        </div>
+        <table>
+          <tbody>
+            <tr><th>MongoDB</th><td>${flag(mongodb.connected && mongodb.reachable, mongodb.connected ? (mongodb.reachable ? 'CONNECTED' : 'UNREACHABLE') : 'NOT CONNECTED')}</td></tr>
+            <tr><th>Deployment</th><td>${deployment ? `${flag(deployment.type !== 'standalone', deployment.type.toUpperCase())} ${this.escapeHtml(deployment.setName || '')} ${deployment.version ? `&middot; MongoDB ${this.escapeHtml(deployment.version)}` : ''}` : '-'}</td></tr>
+            <tr><th>Default Target</th><td>${this.escapeHtml(report.defaultTarget)}</td></tr>
+            <tr><th>Last Event</th><td>${time(report.lastEventAt)}</td></tr>
+            <tr><th>Oplog Window</th><td>${!oplog ? '-' : oplog.error ? `<span class="webhook-detail">${this.escapeHtml(oplog.error)}</span>` : `${oplog.hours} h <span class="webhook-detail">(${time(oplog.firstAt)} &ndash; ${time(oplog.lastAt)})</span>`}</td></tr>
+            ${report.privileges.map(check => `
+            <tr><th>${this.escapeHtml(check.check)}</th><td>${flag(check.ok)} <span class="webhook-detail${check.ok ? '' : ' webhook-error'}">${this.escapeHtml(check.detail)}</span></td></tr>`).join('')}
+          </tbody>
+        </table>
+        <table>
+          <thead>
+            <tr><th>Stream</th><th>State</th><th>Panes</th><th>Hooks</th><th>Resume Point</th></tr>
+          </thead>
+          <tbody>
+            ${report.streams.length === 0 ? '<tr><td colspan="5">No open streams</td></tr>' : report.streams.map(stream => `
+            <tr>
+              <td>
+                <div class="webhook-name">${this.escapeHtml(stream.target)}</div>
+                ${stream.filter ? `<div class="webhook-detail">${this.escapeHtml(JSON.stringify(stream.filter))}</div>` : ''}
+              </td>
+              <td>
+                ${flag(['open', 'catchingUp', 'polling'].includes(stream.state), stream.state.toUpperCase())}
+                ${stream.lastError ? `<div class="webhook-detail webhook-error">${this.escapeHtml(stream.lastError.message)} (${time(stream.lastError.at)})</div>` : ''}
+              </td>
+              <td>${stream.panes}</td>
+              <td>${stream.webhooks}</td>
+              <td>${time(stream.resumeTokenSavedAt)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+        <div class="webhook-detail">Checked ${time(report.checkedAt)}</div>
+      `;
+
+            container.querySelector('[data-action="refresh"]').addEventListener('click', () => this.refreshDiagnostics(true));
+        } catch (err) {
+            container.innerHTML = `<div class="sidebar-loading">Failed to load diagnostics: ${this.escapeHtml(err.message)}</div>`;
+        }
+    }
+
+    /**
+     * Names the BSON type of an Extended JSON value. Relaxed mode cannot tell integer types apart,
+     * so its whole numbers are just `Number`.
+     * @param {*} value - Value from a document.
+     * @returns {string} Type label, e.g. `String`, `Int32`, `ObjectId`, `Object`.
+     */
+    schemaType(value) {
+        if (value === null) return 'Null';
+        if (Array.isArray(value)) return 'Array';
+        const bsonType = this.ejsonType(value);
+        if (bsonType) return bsonType[1];
+        if (typeof value === 'number') return Number.isInteger(value) ? 'Number' : 'Double';
+        if (typeof value === 'string') return 'String';
+        if (typeof value === 'boolean') return 'Boolean';
+        return 'Object';
+    }
+
+    /**
+     * Groups types that may replace each other without counting as drift (all numbers; null goes with anything).
+     * @param {string} type - Output of `schemaType()`.
+     * @returns {string|null} The family, or null for `Null`.
+     */
+    schemaTypeFamily(type) {
+        if (type === 'Null') return null;
+        return ['Number', 'Int32', 'Int64', 'Double', 'Decimal128'].includes(type) ? 'number' : type;
+    }
+
+    /**
+     * Adds the document of a change event to the inferred schema of its namespace.
+     * Events without a full document (deletes, projected updates) are skipped.
+     * @param {Object} data - `change` message.
+     * @returns {Array<{path: string, from: string[], to: string}>} Fields whose type drifted with this document.
+     */
+    recordSchema(data) {
+        const doc = data.raw && data.raw.document;
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return [];
+        return this.recordSchemaDocument(data.namespace, doc, data.timestamp);
+    }
+
+    /**
+     * Adds one document to a namespace's inferred schema: every field path (array elements as `path[]`),
+     * its types, how many documents have it and a few example values.
+     * @param {string} namespace - `db.coll`.
+     * @param {Object} doc - Document in Extended JSON.
+     * @param {string} timestamp - When the document was seen (ISO date).
+     * @param {boolean} [sampled=false] - Whether it came from a server-side sample.
+     * @returns {Array<{path: string, from: string[], to: string}>} Fields whose type drifted with this document.
+     */
+    recordSchemaDocument(namespace, doc, timestamp, sampled = false) {
+        let schema = this.schemas.get(namespace);
+        if (!schema) {
+            schema = { documents: 0, sampled: 0, fields: new Map(), truncated: false, updatedAt: null };
+            this.schemas.set(namespace, schema);
+        }
+        schema.documents++;
+        if (sampled) schema.sampled++;
+        schema.updatedAt = timestamp;
+
+        const drifts = [];
+        const present = new Set();
+        const observe = (path, value) => {
+            let field = schema.fields.get(path);
+            if (!field) {
+                if (schema.fields.size >= this.SCHEMA_MAX_FIELDS) {
+                    schema.truncated = true;
+                    return;
+                }
+                field = { count: 0, types: new Map(), examples: [], drift: null };
+                schema.fields.set(path, field);
+            }
+            if (!present.has(path)) {
+                present.add(path);
+                field.count++;
+            }
+
+            const type = this.schemaType(value);
+            const family = this.schemaTypeFamily(type);
+            if (family && !field.types.has(type)) {
+                // A type family never seen before, after the field was established with others
+                const others = [...field.types].filter(([known]) => this.schemaTypeFamily(known) && this.schemaTypeFamily(known) !== family);
+                const known = [...field.types.keys()].some(existing => this.schemaTypeFamily(existing) === family);
+                if (!known && others.length > 0 && others.reduce((sum, [, n]) => sum + n, 0) >= this.SCHEMA_DRIFT_MIN) {
+                    field.drift = { from: others.map(([name]) => name), to: type, at: timestamp };
+                    drifts.push({ path, from: field.drift.from, to: type });
+                }
+            }
+            field.types.set(type, (field.types.get(type) || 0) + 1);
+
+            if (!['Object', 'Array'].includes(type) && field.examples.length < 3) {
+                const example = JSON.stringify(value);
+                const text = example.length > 60 ? `${example.slice(0, 57)}...` : example;
+                if (!field.examples.includes(text)) field.examples.push(text);
+            }
+
+            if (type === 'Object') walk(value, path);
+            if (type === 'Array') value.forEach(item => observe(`${path}[]`, item));
+        };
+        const walk = (obj, prefix) => Object.entries(obj).forEach(([key, value]) => observe(prefix ? `${prefix}.${key}` : key, value));
+        walk(doc, '');
+
+        if (drifts.length > 0 && !sampled) {
+            this.schemaBtn.classList.add('schema-drift');
+        }
+        if (this.schemaNamespace === namespace && !this.schemaRenderTimer) {
+            this.schemaRenderTimer = setTimeout(() => {
+                this.schemaRenderTimer = null;
+                this.renderSchemaDialog();
+            }, 500);
+        }
+        return drifts;
+    }
+
+    /**
+     * Opens the schema panel for a namespace: the active pane's collection, or the namespace seen most recently.
+     * @param {string} [namespace] - `db.coll` to show.
+     */
+    openSchemaDialog(namespace) {
+        const watching = this.activePane.watching;
+        if (!namespace && watching && /^[^.*/,\s]+\.[^*/,\s]+$/.test(watching)) namespace = watching;
+        if (!namespace) {
+            const latest = [...this.schemas].sort(([, a], [, b]) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))[0];
+            namespace = latest ? latest[0] : null;
+        }
+
+        this.schemaNamespace = namespace;
+        this.schemaBtn.classList.remove('schema-drift');
+        this.modalTitle.textContent = 'Schema';
+        this.modalBody.innerHTML = '<div class="schema-panel"></div>';
+        this.detailModal.classList.add('open');
+
+        const panel = this.modalBody.querySelector('.schema-panel');
+        panel.addEventListener('change', (e) => {
+            if (e.target.dataset.action !== 'namespace') return;
+            this.schemaNamespace = e.target.value;
+            this.renderSchemaDialog();
+        });
+        panel.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action === 'sample') {
+                this.sampleSchema(this.schemaNamespace);
+            } else if (action === 'reset') {
+                this.schemas.delete(this.schemaNamespace);
+                this.renderSchemaDialog();
+            }
+        });
+
+        this.renderSchemaDialog();
+    }
+
+    /**
+     * Fetches a random sample of a collection from the server and adds it to the collection's inferred schema.
+     * @param {string} namespace - `db.coll`.
+     */
+    async sampleSchema(namespace) {
+        const panel = this.modalBody.querySelector('.schema-panel');
+        const status = panel && panel.querySelector('.schema-status');
+        if (status) status.textContent = 'Sampling...';
+
+        const [db, ...coll] = namespace.split('.');
+        try {
+            const response = await fetch(`/api/collections/${encodeURIComponent(db)}/${encodeURIComponent(coll.join('.'))}/sample?size=100&ejson=${this.ejsonMode}`);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+            result.documents.forEach(doc => this.recordSchemaDocument(namespace, doc, result.sampledAt, true));
+            if (result.documents.length === 0 && !this.schemas.has(namespace)) {
+                this.schemas.set(namespace, { documents: 0, sampled: 0, fields: new Map(), truncated: false, updatedAt: result.sampledAt });
+            }
+            if (this.schemaNamespace === namespace) this.renderSchemaDialog();
+        } catch (err) {
+            if (status) status.textContent = `Sampling failed: ${err.message}`;
+        }
+    }
+
+    /**
+     * Renders the inferred schema of the namespace selected in the open schema dialog.
+     */
+    renderSchemaDialog() {
+        const panel = this.modalBody.querySelector('.schema-panel');
+        if (!panel || (!this.schemaNamespace && this.schemas.size === 0)) {
+            if (panel) panel.innerHTML = '<div class="sidebar-loading">No documents seen yet. Watch a collection, then sample it or wait for changes.</div>';
+            return;
+        }
+
+        const namespace = this.schemaNamespace;
+        const namespaces = [...new Set([namespace, ...this.schemas.keys()])].filter(Boolean).sort();
+        const schema = this.schemas.get(namespace);
+        const percent = (n, total) => `${Math.round((n / total) * 100)}%`;
+
+        let table = '<div class="sidebar-loading">No documents seen yet for this namespace. Press SAMPLE to read some from the collection.</div>';
+        if (schema && schema.fields.size > 0) {
+            const rows = [...schema.fields].map(([path, field]) => {
+                const total = [...field.types.values()].reduce((sum, n) => sum + n, 0);
+                const types = [...field.types]
+                    .sort(([, a], [, b]) => b - a)
+                    .map(([type, n]) => `<span class="schema-type">${this.escapeHtml(type)} <span class="webhook-detail">${percent(n, total)}</span></span>`)
+                    .join(' ');
+                const drift = field.drift
+                    ? `<span class="schema-drift-badge" title="Was ${this.escapeHtml(field.drift.from.join('/'))}, became ${this.escapeHtml(field.drift.to)} at ${new Date(field.drift.at).toLocaleString()}">DRIFT</span>`
+                    : '';
+                const depth = path.split('.').length - 1;
+                return `
+            <tr${field.drift ? ' class="schema-drift"' : ''}>
+              <td><span class="diff-path" style="padding-left: ${depth * 12}px">${this.escapeHtml(path)}</span> ${drift}</td>
+              <td>${types}</td>
+              <td>${percent(field.count, schema.documents)}</td>
+              <td class="schema-examples">${field.examples.map(example => this.escapeHtml(example)).join('<br>')}</td>
+            </tr>`;
+            }).join('');
+
+            table = `
+        <table>
+          <thead>
+            <tr><th>Field</th><th>Types</th><th>Present</th><th>Examples</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+        }
+
+        const isCollection = namespace && !namespace.includes('*');
+        panel.innerHTML = `
+        <div class="schema-toolbar">
+          <select class="filter-input" data-action="namespace">
+            ${namespaces.map(ns => `<option value="${this.escapeHtml(ns)}"${ns === namespace ? ' selected' : ''}>${this.escapeHtml(ns)}</option>`).join('')}
+          </select>
+          ${isCollection ? '<button type="button" class="btn-small" data-action="sample">SAMPLE</button>' : ''}
+          ${schema ? '<button type="button" class="btn-small" data-action="reset">RESET</button>' : ''}
+        </div>
+        <div class="webhook-detail schema-status">
+          ${schema ? `${schema.documents} document${schema.documents === 1 ? '' : 's'} seen${schema.sampled > 0 ? ` (${schema.sampled} sampled)` : ''} &middot; ${schema.fields.size} field${schema.fields.size === 1 ? '' : 's'}${schema.truncated ? ` (first ${this.SCHEMA_MAX_FIELDS} only)` : ''}` : ''}
+        </div>
+        ${table}
+      `;
+    }
+
+    /**
+     * Adds or removes an entry from the export selection.
+     * @param {HTMLElement} entry - The entry element.
+     * @param {string} id - Event id.
+     */
+    toggleSelection(entry, id) {
+        if (this.selectedIds.has(id)) {
+            this.selectedIds.delete(id);
+        } else {
+            this.selectedIds.add(id);
+        }
+        entry.classList.toggle('selected', this.selectedIds.has(id));
+    }
+
+    /**
+     * Opens the export dialog in the modal.
+     * Local scopes are built from the active pane's history; the server scope downloads from /api/export.
+     */
+    openExportDialog() {
+        const { history, watching, namespaces } = this.activePane;
+        const selected = history.filter(data => this.selectedIds.has(data.id)).length;
+
+        this.modalTitle.textContent = 'Export Events';
+        this.modalBody.innerHTML = `
+      <form class="export-form">
+        <fieldset>
+          <legend>Events</legend>
+          <label><input type="radio" name="scope" value="view" checked> Current view (${history.length})</label>
+          <label><input type="radio" name="scope" value="selection"${selected ? '' : ' disabled'}> Selection (${selected}) &ndash; Ctrl/Cmd+click entries to select</label>
+          <label><input type="radio" name="scope" value="server"> Server history, filtered</label>
+        </fieldset>
+        <div class="export-server" hidden>
+          <input class="filter-input" name="namespace" placeholder="Namespace, e.g. shop.*" value="${this.escapeHtml(watching && !namespaces ? watching : '')}">
+          <input class="filter-input" name="op" placeholder="Operations, e.g. insert,delete">
+          <input class="filter-input" name="since" type="datetime-local" title="Only events after">
+        </div>
+        <fieldset>
+          <legend>Format</legend>
+          <label><input type="radio" name="format" value="ndjson" checked> NDJSON (raw change events)</label>
+          <label><input type="radio" name="format" value="csv"> CSV</label>
+          <label><input type="radio" name="format" value="mongoimport"> mongoimport (Extended JSON documents)</label>
+        </fieldset>
+        <input class="filter-input export-columns" name="columns" placeholder="CSV columns, e.g. timestamp,operation,_id,status (default: all)" hidden>
+        <div class="filter-error"></div>
+        <button type="submit" class="btn-small">DOWNLOAD</button>
+      </form>
+    `;
+
+        const form = this.modalBody.querySelector('.export-form');
+        const updateVisibility = () => {
+            form.querySelector('.export-server').hidden = form.scope.value !== 'server';
+            form.columns.hidden = form.format.value !== 'csv';
+        };
+        form.addEventListener('change', updateVisibility);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runExport(form);
+        });
+
+        this.detailModal.classList.add('open');
+    }
+
+    /**
+     * Performs the export chosen in the export dialog.
+     * @param {HTMLFormElement} form - The export form.
+     */
+    runExport(form) {
+        const format = form.format.value;
+        const columns = form.columns.value.split(',').map(c => c.trim()).filter(Boolean);
+
+        if (form.scope.value === 'server') {
+            const params = new URLSearchParams({ format });
+            if (form.namespace.value.trim()) params.set('namespace', form.namespace.value.trim());
+            if (form.op.value.trim()) params.set('op', form.op.value.trim());
+            if (form.since.value) params.set('since', new Date(form.since.value).toISOString());
+            if (columns.length > 0) params.set('columns', columns.join(','));
+
+            const link = document.createElement('a');
+            link.href = `/api/export?${params}`;
+            link.click();
+            this.closeModal();
+            return;
+        }
+
+        // The server renders picked events too, from the raw change events it keeps
+        const events = form.scope.value === 'selection'
+            ? this.activePane.history.filter(data => this.selectedIds.has(data.id))
+            : this.activePane.history;
+        this.downloadExport(form, events.map(data => data.id), format, columns);
+    }
+
+    /**
+     * Downloads events picked in the browser through POST /api/export.
+     * Events the server no longer holds in its history are left out, and the user is told how many.
+     * @param {HTMLFormElement} form - The export form, for error messages.
+     * @param {string[]} ids - Ids of the events, oldest first.
+     * @param {string} format - `ndjson`, `csv` or `mongoimport`.
+     * @param {string[]} columns - CSV columns (empty for all).
+     */
+    async downloadExport(form, ids, format, columns) {
+        const error = form.querySelector('.filter-error');
+        try {
+            const response = await fetch('/api/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids, format, columns: columns.length > 0 ? columns : null })
+            });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const name = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = name ? name[1] : `mongo-tv.${format}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+            const missing = parseInt(response.headers.get('X-Missing-Events'), 10) || 0;
+            if (missing > 0) {
+                error.textContent = `${missing} of ${ids.length} events are no longer kept by the server and were left out`;
+                return;
+            }
+            this.closeModal();
+        } catch (err) {
+            error.textContent = err.message;
+        }
+    }
+
+    /**
+     * localStorage key of a pane's stored history or counter (the `main` pane keeps the original keys).
+     * @param {Object} pane - The pane.
+     * @param {string} name - `history` or `docCount`.
+     * @returns {string} The key.
+     */
+    historyKey(pane, name) {
+        return pane.id === 'main' ? `mongoTV_${name}` : `mongoTV_${name}_${pane.id}`;
+    }
+
+    /**
+     * Stores a pane's new events in IndexedDB (only the new ones, so this stays cheap with a long history)
+     * and its counter in localStorage.
+     * @param {Object} pane - The pane.
+     * @param {Array<Object>} events - The events just added to its history.
+     */
+    saveHistory(pane, events) {
+        localStorage.setItem(this.historyKey(pane, 'docCount'), pane.docCount);
+        this.historyDb.then(db => {
+            if (db) this.storeEvents(db, pane, events);
+        });
+        this.scheduleHistoryPrune();
+    }
+
+    /**
+     * Loads a pane's history: its counter from localStorage and its newest events from IndexedDB.
+     * History kept in localStorage by earlier versions is moved to IndexedDB first.
+     * Events that arrived while loading stay after the loaded ones.
+     * @param {Object} pane - The pane.
+     * @returns {Promise<void>}
+     */
+    async loadHistory(pane) {
+        const storedCount = localStorage.getItem(this.historyKey(pane, 'docCount'));
+        if (storedCount) {
+            pane.docCount = parseInt(storedCount, 10);
+        }
+
+        const legacyKey = this.historyKey(pane, 'history');
+        let history = [];
+        try {
+            history = JSON.parse(localStorage.getItem(legacyKey)) || [];
+        } catch (e) {
+            console.error('Failed to load history', e);
+            localStorage.removeItem(legacyKey);
+        }
+
+        const db = await this.historyDb;
+        if (db) {
+            if (history.length > 0) {
+                this.storeEvents(db, pane, history);
+                localStorage.removeItem(legacyKey);
+            }
+            history = await this.readStoredHistory(db, pane);
+        }
+        if (this.panes.get(pane.id) !== pane) return;
+
+        const seen = new Set(pane.history.map(data => data.id));
+        history = history.filter(data => !seen.has(data.id));
+        if (history.length === 0) return;
+
+        if (pane.welcome) {
+            pane.welcome.remove();
+            pane.welcome = null;
+        }
+        pane.history = history.concat(pane.history);
+        pane.items = history.map(data => ({ data })).concat(pane.items);
+        history.forEach(data => this.recordDashboardEvent(data, false));
+        this.trimHistory(pane);
+        this.updatePaneTab(pane);
+        this.scheduleRender(pane);
+    }
+
+    /**
+     * Opens the IndexedDB database that holds the history of every pane.
+     * @returns {Promise<IDBDatabase|null>} The database, or null where IndexedDB is unavailable (history then lasts until reload).
+     */
+    openHistoryStore() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const request = indexedDB.open('mongoTV', 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore('history', { keyPath: 'seq', autoIncrement: true });
+                store.createIndex('pane', ['pane', 'seq']);
+                store.createIndex('time', 'time');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('History storage unavailable', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Key range of one pane's records in the `pane` index (ordered oldest first).
+     * @param {Object} pane - The pane.
+     * @returns {IDBKeyRange} The range.
+     */
+    historyRange(pane) {
+        return IDBKeyRange.bound([pane.id, -Infinity], [pane.id, Infinity]);
+    }
+
+    /**
+     * Adds events to a pane's stored history.
+     * @param {IDBDatabase} db - The history database.
+     * @param {Object} pane - The pane.
+     * @param {Array<Object>} events - The events, oldest first.
+     */
+    storeEvents(db, pane, events) {
+        const transaction = db.transaction('history', 'readwrite');
+        const store = transaction.objectStore('history');
+        events.forEach(data => store.add({ pane: pane.id, time: this.eventTime(data), data }));
+        transaction.onerror = () => console.error('Failed to save history', transaction.error);
+    }
+
+    /**
+     * Reads the newest stored events of a pane, as many as the retention keeps.
+     * @param {IDBDatabase} db - The history database.
+     * @param {Object} pane - The pane.
+     * @returns {Promise<Array<Object>>} The events, oldest first.
+     */
+    readStoredHistory(db, pane) {
+        const { count, maxAgeMs } = this.historyRetention;
+        const cutoff = maxAgeMs ? Date.now() - maxAgeMs : -Infinity;
+
+        return new Promise(resolve => {
+            const events = [];
+            const request = db.transaction('history').objectStore('history').index('pane').openCursor(this.historyRange(pane), 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || events.length >= count || cursor.value.time < cutoff) {
+                    resolve(events.reverse());
+                    return;
+                }
+                events.push(cursor.value.data);
+                cursor.continue();
+            };
+            request.onerror = () => {
+                console.error('Failed to load history', request.error);
+                resolve([]);
+            };
+        });
+    }
+
+    /**
+     * Deletes a pane's stored history (IndexedDB, and localStorage as kept by earlier versions).
+     * @param {Object} pane - The pane.
+     * @returns {Promise<void>}
+     */
+    async deleteStoredHistory(pane) {
+        localStorage.removeItem(this.historyKey(pane, 'history'));
+        const db = await this.historyDb;
+        if (!db) return;
+
+        const transaction = db.transaction('history', 'readwrite');
+        const store = transaction.objectStore('history');
+        const request = store.index('pane').openKeyCursor(this.historyRange(pane));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+        transaction.onerror = () => console.error('Failed to delete history', transaction.error);
+    }
+
+    /**
+     * Prunes history a few seconds after new events, rather than on every one of them.
+     */
+    scheduleHistoryPrune() {
+        if (this.historyPruneTimer) return;
+        this.historyPruneTimer = setTimeout(() => {
+            this.historyPruneTimer = null;
+            this.pruneHistory();
+        }, 5000);
+    }
+
+    /**
+     * Drops history beyond the retention, on screen and in storage: events older than its age,
+     * and each pane's events beyond its count.
+     * @returns {Promise<void>}
+     */
+    async pruneHistory() {
+        this.panes.forEach(pane => this.trimHistory(pane));
+        const db = await this.historyDb;
+        if (!db) return;
+
+        const { count, maxAgeMs } = this.historyRetention;
+        const transaction = db.transaction('history', 'readwrite');
+        const store = transaction.objectStore('history');
+        transaction.onerror = () => console.error('Failed to prune history', transaction.error);
+
+        if (maxAgeMs) {
+            const request = store.index('time').openCursor(IDBKeyRange.upperBound(Date.now() - maxAgeMs, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        }
+
+        this.panes.forEach(pane => {
+            // Newest first: skip the events kept, delete the rest
+            let skipped = false;
+            const request = store.index('pane').openCursor(this.historyRange(pane), 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(count);
+                    return;
+                }
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Drops a pane's events beyond the retention from memory and the screen, with the notices shown before them.
+     * @param {Object} pane - The pane.
+     */
+    trimHistory(pane) {
+        const { count, maxAgeMs } = this.historyRetention;
+        let drop = Math.max(pane.history.length - count, 0);
+        if (maxAgeMs) {
+            const cutoff = Date.now() - maxAgeMs;
+            while (drop < pane.history.length && this.eventTime(pane.history[drop]) < cutoff) drop++;
+        }
+        if (drop === 0) return;
+
+        const dropped = new Set(pane.history.splice(0, drop));
+        let cut = pane.items.findIndex(item => item.data && !dropped.has(item.data));
+        if (cut === -1) {
+            cut = pane.items.length;
+            while (cut > 0 && !pane.items[cut - 1].data) cut--;
+        }
+        const removed = pane.items.splice(0, cut);
+
+        removed.forEach(item => {
+            const el = pane.rendered.get(item);
+            if (!el) return;
+            el.remove();
+            pane.rendered.delete(item);
+        });
+
+        // Keep what is in view where it was when reading further up the list
+        if (!pane.followTail && this.layoutMode !== 'grid') {
+            pane.screen.scrollTop -= removed.reduce((sum, item) => sum + (item.height ?? this.ESTIMATED_ENTRY_HEIGHT), 0);
+        }
+        this.scheduleRender(pane);
+    }
+
+    /**
+     * Time of an event, for retention by age.
+     * @param {Object} data - The change event data.
+     * @returns {number} Milliseconds since the epoch; now when the event has no valid timestamp.
+     */
+    eventTime(data) {
+        return Date.parse(data.timestamp) || Date.now();
+    }
+
+    /**
      * Syntax highlights YAML content.
      */
-    highlightYaml(yaml) {
-        if (!yaml) return '';
+    highlightYaml(yaml) {
+        if (!yaml) return '';
+
+        let escaped = yaml
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+
+        // Placeholder strategy for strings to prevent double-highlighting
+        const placeholders = [];
+        escaped = escaped.replace(/(['"])(?:(?!\1|\\).|\\.)*\1/g, (match) => {
+            placeholders.push(match);
+            return `__STR_${placeholders.length - 1}__`;
+        });
+
+        // Highlight Keys
+        escaped = escaped.replace(/^(\s*)([a-zA-Z0-9_\-]+):/gm, '$1<span class="yaml-key">$2</span>:');
+
+        // Highlight BSON type tags with their value (e.g. !decimal '19.99')
+        escaped = escaped.replace(/(^|\s)!(oid|decimal|timestamp|long|int32|double|uuid|binary|minKey|maxKey|regex|symbol|code)(?=\s|$)([ \t]+(?:__STR_\d+__|[^\s]+))?/gm,
+            (match, lead, tag, value = '') => {
+                const cls = { int32: 'int', minKey: 'key', maxKey: 'key', symbol: 'code', uuid: 'binary' }[tag] || tag;
+                return `${lead}<span class="bson-type bson-${cls}">!${tag}${value}</span>`;
+            });
+
+        // Highlight Tags (e.g. !!binary)
+        escaped = escaped.replace(/!![a-zA-Z0-9_]+/g, '<span class="yaml-tag">$&</span>');
+
+        // Highlight ISO Dates (after keys, before restoring strings)
+        escaped = escaped.replace(/:\s+(\d{4}-\d{2}-\d{2}T[\d:.-]+Z?)/g, ': <span class="yaml-date">$1</span>');
+
+        // Highlight Booleans & Nulls
+        escaped = escaped.replace(/:\s+(true|false|null)(?=\s|$)/g, ': <span class="yaml-bool">$1</span>');
+
+        // Restore Strings with highlighting class
+        escaped = escaped.replace(/__STR_(\d+)__/g, (match, index) => {
+            const str = placeholders[parseInt(index, 10)];
+            const cls = this.isRedactedValue(str.slice(1, -1)) ? 'yaml-string redacted-value' : 'yaml-string';
+            return `<span class="${cls}">${str}</span>`;
+        });
+
+        return escaped;
+    }
+
+    /**
+     * Displays an error line in a pane's stream.
+     * @param {string} message - Text to show.
+     * @param {Object} [pane] - The pane; defaults to the active one.
+     */
+    displayError(message, pane = this.activePane) {
+        const entry = document.createElement('div');
+        entry.className = 'doc-entry glitch error';
+        entry.innerHTML = `
+      <div class="doc-header">
+        <span class="operation-badge DELETE">ERROR</span>
+        <span class="doc-namespace"></span>
+      </div>
+    `;
+        // Messages can echo user input (filters from shared links), so they are never parsed as markup
+        entry.querySelector('.doc-namespace').textContent = message;
+        this.appendItems(pane, [{ el: entry }]);
+    }
+
+    /**
+     * Displays an informational line in a pane's stream (e.g. stream resumed).
+     * @param {string} message - Text to show.
+     * @param {Object} [pane] - The pane; defaults to the active one.
+     */
+    displayNotice(message, pane = this.activePane) {
+        const entry = document.createElement('div');
+        entry.className = 'doc-entry notice';
+        entry.innerHTML = `
+      <div class="doc-header">
+        <span class="operation-badge INFO">INFO</span>
+        <span class="doc-namespace"></span>
+      </div>
+    `;
+        // Messages can echo user input (filters from shared links), so they are never parsed as markup
+        entry.querySelector('.doc-namespace').textContent = message;
+        this.appendItems(pane, [{ el: entry }]);
+    }
+
+    /**
+     * Shows where a pane missed events because the server skipped them while this browser lagged behind.
+     * @param {Object} data - `skipped` message with `count`, `from` and `until`.
+     * @param {Object} pane - The pane.
+     */
+    displaySkipped(data, pane) {
+        const entry = document.createElement('div');
+        entry.className = 'doc-entry notice skipped';
+        entry.innerHTML = `
+      <div class="doc-header">
+        <span class="operation-badge SKIPPED">SKIPPED</span>
+        <span class="doc-namespace">${data.count} event${data.count === 1 ? '' : 's'} not sent while this browser was catching up (${new Date(data.from).toLocaleTimeString()} &ndash; ${new Date(data.until).toLocaleTimeString()})</span>
+      </div>
+    `;
+        this.appendItems(pane, [{ el: entry }]);
+    }
+
+    /**
+     * Handles a pane's stream ending because what it watches was dropped or renamed.
+     * Depending on the server's INVALIDATE_ACTION it is re-watched or follows the rename by itself,
+     * or the pane offers both.
+     * @param {Object} data - `invalidated` status with `reason`, `renamedTo` and `action`.
+     * @param {Object} pane - The pane.
+     */
+    handleInvalidated(data, pane) {
+        pane.invalidated = data;
+        this.updatePaneTab(pane);
+        if (pane === this.activePane) this.refreshStatus();
+
+        // Following a rename makes the new name the pane's target, also after a reload
+        if (data.action === 'follow') {
+            this.followRename(pane, data.renamedTo, false);
+        }
+
+        const reasons = {
+            drop: 'was dropped',
+            rename: `was renamed to ${data.renamedTo ? `${data.renamedTo.database}.${data.renamedTo.collection}` : 'another name'}`,
+            dropDatabase: 'lost its database (dropped)'
+        };
+        const next = {
+            rewatch: 'Watching it again for new events.',
+            follow: 'Now watching the new name.',
+            prompt: ''
+        };
+
+        const entry = document.createElement('div');
+        entry.className = 'doc-entry notice invalidated';
+        entry.innerHTML = `
+      <div class="doc-header">
+        <span class="operation-badge INVALIDATE">ENDED</span>
+        <span class="doc-namespace">${this.escapeHtml(`${data.watching} ${reasons[data.reason] || 'stopped being watchable'}. ${next[data.action] || ''}`)}</span>
+        ${data.action === 'prompt' ? `
+        <span class="invalidated-actions">
+          <button type="button" class="btn-small" data-action="rewatch">RE-WATCH</button>
+          ${data.renamedTo ? '<button type="button" class="btn-small" data-action="follow">FOLLOW RENAME</button>' : ''}
+        </span>` : ''}
+      </div>
+    `;
+
+        entry.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (!action || pane.invalidated !== data) return;
+
+            if (action === 'rewatch') {
+                if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                    this.ws.send(JSON.stringify({ type: 'rewatch', pane: pane.id }));
+                }
+            } else if (action === 'follow') {
+                this.followRename(pane, data.renamedTo, true);
+            }
+            entry.querySelectorAll('button').forEach(button => { button.disabled = true; });
+        });
+
+        this.appendItems(pane, [{ el: entry }]);
+    }
+
+    /**
+     * Describes a start point label from the server for display.
+     * @param {string} label - ISO time, or a description of a resume token.
+     * @returns {string} e.g. a local date and time.
+     */
+    formatStartFrom(label) {
+        const time = Date.parse(label);
+        return Number.isNaN(time) ? label : new Date(time).toLocaleString();
+    }
+
+    /**
+     * Points a pane at the new name of the collection it watched.
+     * @param {Object} pane - The pane.
+     * @param {{database: string, collection: string}} renamedTo - The new name.
+     * @param {boolean} send - Ask the server to switch (it already has when it follows renames itself).
+     */
+    followRename(pane, renamedTo, send) {
+        pane.database = renamedTo.database;
+        pane.collection = renamedTo.collection;
+        pane.namespaces = null;
+        pane.watching = null;
+        this.savePanes();
+        this.updatePaneTab(pane);
+        if (send) this.sendSelection(pane);
+    }
+
+    setStatus(state, text) {
+        this.status.className = `status-indicator ${state}`;
+        this.statusText.textContent = text;
+    }
+
+    /**
+     * Shows the active pane's state in the status indicator (while connected).
+     */
+    refreshStatus() {
+        const pane = this.activePane;
+        if (pane.invalidated) {
+            this.setStatus('invalidated', 'Stream Ended');
+        } else if (pane.catchingUp) {
+            const position = pane.catchingUp.position ? ` (${new Date(pane.catchingUp.position).toLocaleTimeString()})` : '';
+            this.setStatus('catching-up', `Catching Up${position}`);
+        } else if (pane.isPaused) {
+            this.setStatus('paused', 'Paused');
+        } else if (pane.polling) {
+            this.setStatus('polling', 'Polling');
+        } else {
+            this.setStatus('connected', 'Connected');
+        }
+    }
+
+    /**
+     * Toggles pause/resume state of the active pane's stream.
+     * When paused, messages are queued up.
+     */
+    togglePause() {
+        const pane = this.activePane;
+        pane.isPaused = !pane.isPaused;
+        this.updatePaneTab(pane);
+
+        this.refreshStatus();
+        if (pane.isPaused) {
+            this.pauseIcon.innerHTML = this.playSvg;
+        } else {
+            this.pauseIcon.innerHTML = this.pauseSvg;
+
+            // Process queued messages
+            const queued = pane.messageQueue;
+            pane.messageQueue = [];
+            this.displayChanges(queued, false, pane);
+        }
+    }
+
+    /**
+     * Clears all documents from the active pane's screen and history.
+     */
+    clearScreen() {
+        const pane = this.activePane;
+
+        // Keep only the structure
+        pane.rendered.forEach(el => el.remove());
+        pane.rendered.clear();
+        pane.items = [];
+        if (pane.welcome) pane.welcome.remove();
+        pane.welcome = null;
+        pane.docCount = 0;
+        pane.messageQueue = [];
+        pane.history = [];
+        this.updatePaneTab(pane);
+        this.selectedIds.clear();
+        this.dashboardStats = this.createDashboardStats();
+        this.renderDashboard();
+
+        this.deleteStoredHistory(pane);
+        localStorage.removeItem(this.historyKey(pane, 'docCount'));
+
+        // Show welcome back
+        this.showWelcome(pane, 'Screen cleared!', 'Waiting for new documents...');
+        this.renderPane(pane);
+    }
+
+    /**
+     * Toggles between YAML and JSON content format.
+     */
+    toggleViewMode() {
+        this.viewMode = this.viewMode === 'yaml' ? 'json' : 'yaml';
+        document.body.dataset.viewMode = this.viewMode;
+        if (this.viewToggleBtn) this.viewToggleBtn.textContent = this.viewMode.toUpperCase();
+        localStorage.setItem('viewMode', this.viewMode);
+        this.syncUrl();
+    }
+
+    /**
+     * Toggles between Relaxed and Canonical Extended JSON.
+     * Applies to events received from now on.
+     */
+    toggleEjsonMode() {
+        this.ejsonMode = this.ejsonMode === 'canonical' ? 'relaxed' : 'canonical';
+        if (this.ejsonToggleBtn) this.ejsonToggleBtn.textContent = this.ejsonMode === 'canonical' ? 'CAN' : 'REL';
+        localStorage.setItem('ejsonMode', this.ejsonMode);
+        this.sendOptions();
+    }
+
+    /**
+     * Cycles through the List, Grid and Dashboard layouts.
+     */
+    toggleLayoutMode() {
+        const modes = ['list', 'grid', 'dashboard'];
+        this.layoutMode = modes[(modes.indexOf(this.layoutMode) + 1) % modes.length];
+        this.applyLayoutMode();
+        localStorage.setItem('layoutMode', this.layoutMode);
+        this.syncUrl();
+    }
+
+    /**
+     * Applies the current layout mode to the page and the toggle button.
+     * The dashboard redraws every second while it is shown, so rates drop back to zero when the stream goes quiet.
+     */
+    applyLayoutMode() {
+        const labels = { list: 'LIST', grid: 'GRID', dashboard: 'DASH' };
+        document.body.classList.toggle('layout-grid', this.layoutMode === 'grid');
+        document.body.classList.toggle('layout-dashboard', this.layoutMode === 'dashboard');
+        if (this.layoutToggleBtn) this.layoutToggleBtn.textContent = labels[this.layoutMode] || 'LIST';
+        this.panes.forEach(pane => this.scheduleRender(pane));
+
+        clearInterval(this.dashboardTimer);
+        this.dashboardTimer = null;
+        if (this.layoutMode === 'dashboard') {
+            this.renderDashboard();
+            this.dashboardTimer = setInterval(() => this.renderDashboard(), 1000);
+        }
+    }
+
+    /**
+     * Creates empty dashboard figures.
+     * `rates` holds per-second event counts for the last minute, newest last.
+     * `ids` remembers recent event ids, so an event shown in several panes counts once.
+     */
+    createDashboardStats() {
+        return {
+            ids: new Set(),
+            total: 0,
+            rates: new Array(60).fill(0),
+            rateSecond: Math.floor(Date.now() / 1000),
+            operations: new Map(),
+            namespaces: new Map(),
+            largest: []
+        };
+    }
+
+    /**
+     * Shifts the per-second buckets forward to the current second.
+     */
+    advanceDashboardRates() {
+        const stats = this.dashboardStats;
+        const second = Math.floor(Date.now() / 1000);
+        const elapsed = Math.min(second - stats.rateSecond, stats.rates.length);
+
+        for (let i = 0; i < elapsed; i++) {
+            stats.rates.shift();
+            stats.rates.push(0);
+        }
+        stats.rateSecond = second;
+    }
+
+    /**
+     * Adds a change message to the dashboard figures.
+     * @param {Object} data - The change event data.
+     * @param {boolean} live - Whether it just arrived; replayed and stored events don't count towards the rate.
+     */
+    recordDashboardEvent(data, live) {
+        const stats = this.dashboardStats;
+
+        if (data.id) {
+            if (stats.ids.has(data.id)) return;
+            stats.ids.add(data.id);
+            if (stats.ids.size > 1000) stats.ids.delete(stats.ids.values().next().value);
+        }
+
+        stats.total++;
+        stats.operations.set(data.operation, (stats.operations.get(data.operation) || 0) + 1);
+        stats.namespaces.set(data.namespace, (stats.namespaces.get(data.namespace) || 0) + 1);
+
+        if (live) {
+            this.advanceDashboardRates();
+            stats.rates[stats.rates.length - 1]++;
+        }
+
+        // Size of the full document as Extended JSON; deletes and bare updates carry none
+        const document = data.raw && data.raw.document;
+        if (document) {
+            const documentKey = data.raw.documentKey || {};
+            const key = `${data.namespace} ${JSON.stringify(documentKey)}`;
+            const size = new TextEncoder().encode(JSON.stringify(document)).length;
+
+            // One row per document, showing the size it had when last seen
+            stats.largest = stats.largest.filter(doc => doc.key !== key);
+            stats.largest.push({
+                key,
+                id: this.plainValue(documentKey._id),
+                namespace: data.namespace,
+                operation: data.operation,
+                size,
+                timestamp: data.timestamp
+            });
+            stats.largest.sort((a, b) => b.size - a.size);
+            stats.largest.length = Math.min(stats.largest.length, 10);
+        }
+
+        // Coalesce bursts into one redraw per frame
+        if (this.layoutMode === 'dashboard' && !this.dashboardRenderPending) {
+            this.dashboardRenderPending = true;
+            requestAnimationFrame(() => {
+                this.dashboardRenderPending = false;
+                this.renderDashboard();
+            });
+        }
+    }
+
+    /**
+     * Renders the dashboard: rate tiles, sparkline, breakdowns and largest documents.
+     */
+    renderDashboard() {
+        if (!this.dashboard || this.layoutMode !== 'dashboard') return;
+
+        this.advanceDashboardRates();
+        const stats = this.dashboardStats;
+
+        if (stats.total === 0) {
+            this.dashboard.innerHTML = `
+      <div class="welcome-message">
+        <div class="tv-static"></div>
+        <p>Waiting for documents...</p>
+        <p class="hint">Activity shows up here as changes arrive.</p>
+      </div>
+    `;
+            return;
+        }
+
+        // The newest bucket is still filling up, so "now" is the last complete second
+        const rates = stats.rates;
+        const current = rates[rates.length - 2];
+        const peak = Math.max(...rates);
+        const average = rates.reduce((sum, count) => sum + count, 0) / rates.length;
+
+        this.dashboard.innerHTML = `
+      <div class="dashboard-tiles">
+        ${this.renderDashboardTile(stats.total, 'events')}
+        ${this.renderDashboardTile(current, 'events/s now')}
+        ${this.renderDashboardTile(average.toFixed(1), 'events/s avg (60s)')}
+        ${this.renderDashboardTile(peak, 'events/s peak (60s)')}
+      </div>
+      <div class="dashboard-panel dashboard-rate">
+        <div class="dashboard-title">Events / second &middot; last 60s</div>
+        ${this.renderSparkline(rates)}
+      </div>
+      <div class="dashboard-panel">
+        <div class="dashboard-title">By operation</div>
+        ${this.renderDashboardBars(stats.operations, stats.total, name => `<span class="operation-badge ${this.escapeHtml(name)}">${this.escapeHtml(name)}</span>`)}
+      </div>
+      <div class="dashboard-panel">
+        <div class="dashboard-title">Top namespaces</div>
+        ${this.renderDashboardBars(stats.namespaces, stats.total, name => this.escapeHtml(name), 8)}
+      </div>
+      <div class="dashboard-panel dashboard-largest">
+        <div class="dashboard-title">Largest documents</div>
+        ${stats.largest.length === 0 ? '<p class="hint">No full documents seen yet.</p>' : `
+        <table>
+          <tr><th>Size</th><th>Namespace</th><th>_id</th><th>Last seen</th></tr>
+          ${stats.largest.map(doc => `
+          <tr>
+            <td>${this.formatBytes(doc.size)}</td>
+            <td>${this.escapeHtml(doc.namespace)}</td>
+            <td>${this.escapeHtml(doc.id === undefined ? '-' : doc.id)}</td>
+            <td><span class="operation-badge ${this.escapeHtml(doc.operation)}">${this.escapeHtml(doc.operation)}</span>${new Date(doc.timestamp).toLocaleTimeString()}</td>
+          </tr>`).join('')}
+        </table>`}
+      </div>
+    `;
+    }
+
+    /**
+     * Renders one headline figure of the dashboard.
+     */
+    renderDashboardTile(value, label) {
+        return `<div class="dashboard-tile"><span class="dashboard-value">${value}</span><span class="dashboard-label">${label}</span></div>`;
+    }
+
+    /**
+     * Renders per-second counts as an inline SVG sparkline.
+     * @param {Array<number>} rates - Counts, oldest first.
+     */
+    renderSparkline(rates) {
+        const height = 40;
+        const max = Math.max(1, ...rates);
+        const points = rates
+            .map((count, i) => `${i},${(height - (count / max) * height).toFixed(1)}`)
+            .join(' ');
+
+        return `
+        <svg class="sparkline" viewBox="0 0 ${rates.length - 1} ${height}" preserveAspectRatio="none">
+          <polygon class="sparkline-area" points="0,${height} ${points} ${rates.length - 1},${height}" />
+          <polyline class="sparkline-line" points="${points}" />
+        </svg>
+        <div class="sparkline-scale"><span>-60s</span><span>max ${max}/s</span><span>now</span></div>`;
+    }
+
+    /**
+     * Renders counts as horizontal bars, largest first.
+     * @param {Map<string, number>} counts - Count per name.
+     * @param {number} total - Count the bar widths are relative to.
+     * @param {Function} label - Renders the (already escaped) label HTML for a name.
+     * @param {number} [limit] - Show at most this many rows and sum up the rest.
+     */
+    renderDashboardBars(counts, total, label, limit = Infinity) {
+        const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+        const shown = sorted.slice(0, limit);
+        const others = sorted.slice(limit);
+
+        const rows = shown.map(([name, count]) => `
+        <div class="dashboard-bar">
+          <span class="dashboard-bar-label">${label(name)}</span>
+          <span class="dashboard-bar-track"><span class="dashboard-bar-fill" style="width: ${(count / total * 100).toFixed(1)}%"></span></span>
+          <span class="dashboard-bar-count">${count}</span>
+        </div>`);
+
+        if (others.length > 0) {
+            const rest = others.reduce((sum, [, count]) => sum + count, 0);
+            rows.push(`<div class="dashboard-bar dashboard-bar-others">+${others.length} more (${rest} events)</div>`);
+        }
+        return rows.join('');
+    }
+
+    /**
+     * Formats a byte count for display.
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Syntax highlighting for JSON content.
+     */
+    highlightJson(json) {
+        if (!json) return '';
+        return this.renderJsonValue(json);
+    }
+
+    /**
+     * Returns the BSON type of an Extended JSON wrapper such as `{"$numberDecimal": "1.5"}`.
+     * @returns {Array|null} `[css suffix, label]`, or null for ordinary values.
+     */
+    ejsonType(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+        const keys = Object.keys(value);
+        if (keys.length === 0 || keys.length > 2 || !keys.every(k => k.startsWith('$'))) return null;
+        return this.ejsonTypes[keys[0]] || null;
+    }
+
+    /**
+     * Renders a JSON value as highlighted, indented HTML.
+     * Extended JSON wrappers are kept intact and styled by BSON type.
+     * @param {*} value - Value to render.
+     * @param {string} indent - Indentation of the current nesting level.
+     * @returns {string} HTML.
+     */
+    renderJsonValue(value, indent = '') {
+        if (value === null) return '<span class="yaml-null">null</span>';
+        if (typeof value === 'string') {
+            const cls = this.isRedactedValue(value) ? 'yaml-string redacted-value' : 'yaml-string';
+            return `<span class="${cls}">${this.escapeHtml(JSON.stringify(value))}</span>`;
+        }
+        if (typeof value === 'number') return `<span class="yaml-number">${value}</span>`;
+        if (typeof value === 'boolean') return `<span class="yaml-boolean">${value}</span>`;
+
+        const bsonType = this.ejsonType(value);
+        if (bsonType) {
+            return `<span class="bson-type bson-${bsonType[0]}" title="${bsonType[1]}">${this.escapeHtml(JSON.stringify(value))}</span>`;
+        }
+
+        const inner = `${indent}  `;
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '[]';
+            return `[\n${value.map(item => inner + this.renderJsonValue(item, inner)).join(',\n')}\n${indent}]`;
+        }
+
+        const keys = Object.keys(value);
+        if (keys.length === 0) return '{}';
+        return `{\n${keys.map(key => `${inner}<span class="yaml-key">${this.escapeHtml(JSON.stringify(key))}:</span> ${this.renderJsonValue(value[key], inner)}`).join(',\n')}\n${indent}}`;
+    }
+
+    adjustFontSize(delta) {
+        this.fontSize = Math.max(0.4, Math.min(3.0, parseFloat((this.fontSize + delta).toFixed(1))));
+        document.documentElement.style.setProperty('--doc-font-size', `${this.fontSize}rem`);
+        localStorage.setItem('docFontSize', this.fontSize);
+        this.syncUrl();
+    }
+
+    /**
+     * Opens the detail modal for a selected document.
+     * Events about a single document offer its timeline.
+     */
+    openModal(contentEl, data) {
+        this.detailModal.classList.add('open');
+        this.modalBody.innerHTML = '';
+        this.modalTitle.textContent = `${data.operation} ${data.namespace}`;
+
+        if (this.documentKeyOf(data)) {
+            const actions = document.createElement('div');
+            actions.className = 'modal-actions';
+            actions.innerHTML = '<button type="button" class="btn-small">TIMELINE</button>';
+            actions.querySelector('button').addEventListener('click', () => this.openDocumentTimeline(data));
+            this.modalBody.appendChild(actions);
+        }
+
+        const clone = contentEl.cloneNode(true);
+        this.modalBody.appendChild(clone);
+    }
+
+    /**
+     * Identifies the document an event is about, the same way in either Extended JSON mode.
+     * @param {Object} data - `change` message.
+     * @returns {string|null} Namespace and `_id`, or null for events without a document key (drops, invalidates).
+     */
+    documentKeyOf(data) {
+        const documentKey = data.raw && data.raw.documentKey;
+        if (!documentKey || documentKey._id === undefined) return null;
+        return `${data.namespace} ${JSON.stringify(this.plainValue(documentKey._id))}`;
+    }
 
-        let escaped = yaml
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;');
+    /**
+     * Shows every captured change to the document an event is about, oldest first, with the diff between
+     * successive versions and the document as it is now, fetched from the server.
+     * Events are gathered from the history of all panes.
+     * @param {Object} data - `change` message of any event about the document.
+     */
+    openDocumentTimeline(data) {
+        const key = this.documentKeyOf(data);
+        const seen = new Set();
+        const events = [];
+        this.panes.forEach(pane => pane.history.forEach(event => {
+            if (this.documentKeyOf(event) !== key || seen.has(event.id)) return;
+            if (event.id) seen.add(event.id);
+            events.push(event);
+        }));
+        events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        // Each step is a version of the document: null once deleted, undefined when the event has no full document
+        this.timeline = {
+            data,
+            steps: events.map(event => ({
+                event,
+                version: event.operation === 'DELETE' ? null : (event.raw && event.raw.document) || undefined
+            })),
+            current: null,
+            index: Math.max(events.findIndex(event => event.id === data.id), 0)
+        };
 
-        // Placeholder strategy for strings to prevent double-highlighting
-        const placeholders = [];
-        escaped = escaped.replace(/(['"])(?:(?!\1|\\).|\\.)*\1/g, (match) => {
-            placeholders.push(match);
-            return `__STR_${placeholders.length - 1}__`;
+        this.modalTitle.textContent = `Timeline ${data.namespace}`;
+        this.modalBody.innerHTML = '<div class="timeline"></div>';
+        const container = this.modalBody.querySelector('.timeline');
+        container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-step], [data-action]');
+            if (!target) return;
+            const last = this.timeline.steps.length;
+            if (target.dataset.step !== undefined) {
+                this.timeline.index = parseInt(target.dataset.step, 10);
+            } else if (target.dataset.action === 'prev') {
+                this.timeline.index = Math.max(this.timeline.index - 1, 0);
+            } else if (target.dataset.action === 'next') {
+                this.timeline.index = Math.min(this.timeline.index + 1, last);
+            } else if (target.dataset.action === 'refetch') {
+                this.fetchCurrentDocument();
+                return;
+            }
+            this.renderDocumentTimeline();
         });
 
-        // Highlight Keys
-        escaped = escaped.replace(/^(\s*)([a-zA-Z0-9_\-]+):/gm, '$1<span class="yaml-key">$2</span>:');
+        this.renderDocumentTimeline();
+        this.fetchCurrentDocument();
+    }
 
-        // Highlight Tags (e.g. !!binary)
-        escaped = escaped.replace(/!![a-zA-Z0-9_]+/g, '<span class="yaml-tag">$&</span>');
+    /**
+     * Fetches the live version of the timeline's document (the step after the last captured change).
+     */
+    async fetchCurrentDocument() {
+        const timeline = this.timeline;
+        const { namespace, raw } = timeline.data;
+        const [db, ...coll] = namespace.split('.');
+        const id = JSON.stringify(raw.documentKey._id);
+        timeline.current = { loading: true };
+        this.renderDocumentTimeline();
 
-        // Highlight ISO Dates (after keys, before restoring strings)
-        escaped = escaped.replace(/:\s+(\d{4}-\d{2}-\d{2}T[\d:.-]+Z?)/g, ': <span class="yaml-date">$1</span>');
+        try {
+            const response = await fetch(`/api/document/${encodeURIComponent(db)}/${encodeURIComponent(coll.join('.'))}/${encodeURIComponent(id)}?ejson=${this.ejsonMode}`);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+            timeline.current = result;
+        } catch (err) {
+            timeline.current = { error: err.message };
+        }
+        if (this.timeline === timeline) this.renderDocumentTimeline();
+    }
 
-        // Highlight Booleans & Nulls
-        escaped = escaped.replace(/:\s+(true|false|null)(?=\s|$)/g, ': <span class="yaml-bool">$1</span>');
+    /**
+     * Renders the open document timeline: the list of steps, and the selected step's diff and document.
+     */
+    renderDocumentTimeline() {
+        const container = this.modalBody.querySelector('.timeline');
+        if (!container || !this.timeline) return;
+
+        const { data, steps, current, index } = this.timeline;
+        const isNow = index === steps.length;
+        const time = (iso) => new Date(iso).toLocaleTimeString();
+
+        let nowLabel = 'NOW';
+        if (current && current.loading) nowLabel = 'NOW &hellip;';
+        else if (current && (current.error || !current.found)) nowLabel = current.error ? 'NOW (ERROR)' : 'NOW (GONE)';
+
+        const list = steps.map((step, i) => `
+          <li><button type="button" class="timeline-step${i === index ? ' active' : ''}" data-step="${i}">
+            <span class="operation-badge ${step.event.operation}">${step.event.operation}</span>
+            <span class="doc-timestamp">${time(step.event.timestamp)}</span>
+          </button></li>`).join('');
+
+        container.innerHTML = `
+        <div class="timeline-summary">
+          <span class="doc-namespace">${this.escapeHtml(data.namespace)}</span>
+          <span class="diff-path">_id ${this.escapeHtml(JSON.stringify(data.raw.documentKey._id))}</span>
+          <span class="webhook-detail">${steps.length} captured change${steps.length === 1 ? '' : 's'}</span>
+        </div>
+        <ol class="timeline-steps">
+          ${list}
+          <li><button type="button" class="timeline-step timeline-now${isNow ? ' active' : ''}" data-step="${steps.length}">${nowLabel}</button></li>
+        </ol>
+        <div class="timeline-nav">
+          <button type="button" class="btn-small" data-action="prev"${index === 0 ? ' disabled' : ''}>&larr; PREV</button>
+          <span class="webhook-detail">${index + 1} / ${steps.length + 1}</span>
+          <button type="button" class="btn-small" data-action="next"${isNow ? ' disabled' : ''}>NEXT &rarr;</button>
+        </div>
+        <div class="timeline-detail">${isNow ? this.renderCurrentDocument() : this.renderTimelineStep(index)}</div>
+      `;
+    }
 
-        // Restore Strings with highlighting class
-        escaped = escaped.replace(/__STR_(\d+)__/g, (match, index) => {
-            return `<span class="yaml-string">${placeholders[parseInt(index, 10)]}</span>`;
-        });
+    /**
+     * Renders one captured step: what changed since the previous known version, and the event's payload.
+     * @param {number} index - Index into the timeline's steps.
+     * @returns {string} HTML.
+     */
+    renderTimelineStep(index) {
+        const { steps } = this.timeline;
+        const { event, version } = steps[index];
+
+        let diff;
+        const previous = this.previousVersion(index);
+        if (version === null) {
+            diff = '<div class="doc-diff"><div class="diff-line diff-removed">Document deleted</div></div>';
+        } else if (version !== undefined && previous !== undefined) {
+            // Compared with an empty document, an insert (or the first version seen after a delete) lists every field as added
+            const lines = this.renderDiffLines(this.diffDocuments(previous || {}, version));
+            diff = `<div class="doc-diff">${lines.join('') || '<div class="diff-line diff-note">No field changes</div>'}</div>`;
+        } else {
+            // Without both versions, fall back to what the event itself says
+            diff = this.renderDiff(event) || '<div class="doc-diff"><div class="diff-line diff-note">First captured version</div></div>';
+        }
 
-        return escaped;
+        return `
+        <div class="doc-header">
+          <span class="operation-badge ${event.operation}">${event.operation}</span>
+          ${this.renderRedactedBadge(event.redacted)}
+          <span class="doc-timestamp">${new Date(event.timestamp).toLocaleString()}</span>
+        </div>
+        <div class="doc-content">
+          ${diff}
+          <div class="view-yaml">${this.highlightYaml(event.yaml)}</div>
+          <div class="view-json">${this.highlightJson(event.json)}</div>
+        </div>
+      `;
     }
 
-    displayError(message) {
-        const entry = document.createElement('div');
-        entry.className = 'doc-entry glitch error';
-        entry.innerHTML = `
-      <div class="doc-header">
-        <span class="operation-badge DELETE">ERROR</span>
-        <span class="doc-namespace">${message}</span>
-      </div>
-    `;
-        this.screen.appendChild(entry);
-        this.screen.scrollTop = this.screen.scrollHeight;
+    /**
+     * Finds the version of the timeline's document before a step.
+     * @param {number} index - Index into the timeline's steps (the steps' length for the live version).
+     * @returns {Object|null|undefined} The document, null if it did not exist (before an insert, or deleted),
+     *   or undefined if unknown.
+     */
+    previousVersion(index) {
+        const { steps } = this.timeline;
+        if (index > 0) return steps[index - 1].version;
+        return steps.length > 0 && steps[0].event.operation === 'INSERT' ? null : undefined;
     }
 
-    setStatus(state, text) {
-        this.status.className = `status-indicator ${state}`;
-        this.statusText.textContent = text;
+    /**
+     * Renders the live version of the timeline's document and how it differs from the last captured one.
+     * @returns {string} HTML.
+     */
+    renderCurrentDocument() {
+        const { current, steps } = this.timeline;
+        if (!current || current.loading) return '<div class="sidebar-loading">Fetching the current version...</div>';
+
+        const refetch = '<button type="button" class="btn-small" data-action="refetch">REFRESH</button>';
+        if (current.error) {
+            return `<div class="sidebar-loading">Failed to fetch the document: ${this.escapeHtml(current.error)} ${refetch}</div>`;
+        }
+
+        const previous = this.previousVersion(steps.length);
+        let diff = '';
+        if (!current.found) {
+            diff = '<div class="diff-line diff-removed">Not in the collection anymore</div>';
+        } else if (previous === undefined) {
+            diff = '<div class="diff-line diff-note">No earlier full version captured to compare with</div>';
+        } else {
+            const lines = this.renderDiffLines(this.diffDocuments(previous || {}, current.json));
+            diff = lines.join('') || '<div class="diff-line diff-note">Unchanged since the last captured event</div>';
+        }
+
+        return `
+        <div class="doc-header">
+          <span class="operation-badge INFO">LIVE</span>
+          ${this.renderRedactedBadge(current.redacted)}
+          <span class="doc-timestamp">Fetched ${new Date(current.fetchedAt).toLocaleString()}</span>
+          ${refetch}
+        </div>
+        <div class="doc-content">
+          <div class="doc-diff">${diff}</div>
+          ${current.found ? `
+          <div class="view-yaml">${this.highlightYaml(current.yaml)}</div>
+          <div class="view-json">${this.highlightJson(current.json)}</div>` : ''}
+        </div>
+      `;
+    }
+
+    closeModal() {
+        this.detailModal.classList.remove('open');
+        this.timeline = null;
+        this.schemaNamespace = null;
+        clearTimeout(this.schemaRenderTimer);
+        this.schemaRenderTimer = null;
+        clearInterval(this.webhooksRefreshTimer);
+        this.webhooksRefreshTimer = null;
+        clearInterval(this.diagnosticsRefreshTimer);
+        this.diagnosticsRefreshTimer = null;
+        this.palette = null;
     }
 
     /**
-     * Toggles pause/resume state of the stream.
-     * When paused, messages are queued up.
+     * The commands behind the footer and header buttons and the entry navigation, with their keyboard shortcuts.
+     * Keys are `KeyboardEvent.key` values, so `C` means Shift+C.
+     * @returns {Array<Object>} `{title, keys, run, available?, palette?}`.
      */
-    togglePause() {
-        this.isPaused = !this.isPaused;
+    createCommands() {
+        const paneIds = () => [...this.panes.keys()];
+        const switchPane = (step) => {
+            const ids = paneIds();
+            this.activatePane(ids[(ids.indexOf(this.activePane.id) + step + ids.length) % ids.length]);
+        };
 
-        if (this.isPaused) {
-            this.setStatus('paused', 'Paused');
-            this.pauseIcon.innerHTML = this.playSvg;
-        } else {
-            this.setStatus('connected', 'Connected');
-            this.pauseIcon.innerHTML = this.pauseSvg;
+        return [
+            { title: 'Pause / resume the stream', keys: ['p', ' '], run: () => this.togglePause() },
+            { title: 'Clear the screen', keys: ['C'], run: () => this.clearScreen() },
+            { title: 'Next entry', keys: ['j'], run: () => this.moveCursor(1) },
+            { title: 'Previous entry', keys: ['k'], run: () => this.moveCursor(-1) },
+            { title: 'Open the selected entry', keys: ['Enter'], run: () => this.openCursorEntry() },
+            { title: 'Search', keys: ['/'], run: () => this.searchInput.focus() },
+            { title: 'Pick a collection in the sidebar', keys: ['b'], run: () => this.openSidebar(), available: () => this.canSwitchTargets() },
+            { title: 'Cycle layout (list, grid, dashboard)', keys: ['l'], run: () => this.toggleLayoutMode() },
+            { title: 'Toggle YAML / JSON', keys: ['v'], run: () => this.toggleViewMode() },
+            { title: 'Toggle relaxed / canonical Extended JSON', keys: ['e'], run: () => this.toggleEjsonMode() },
+            { title: 'Increase font size', keys: ['+', '='], run: () => this.adjustFontSize(0.1) },
+            { title: 'Decrease font size', keys: ['-'], run: () => this.adjustFontSize(-0.1) },
+            { title: 'Toggle sound', keys: ['s'], run: () => this.toggleSound() },
+            { title: 'Toggle dark mode', keys: ['t'], run: () => this.toggleDarkMode() },
+            { title: 'Random colors', keys: ['T'], run: () => this.randomizeColors() },
+            { title: 'Hide / show errors', keys: ['h'], run: () => this.toggleHideErrors() },
+            { title: 'New pane', keys: ['n'], run: () => this.addPane() },
+            { title: 'Close pane', keys: ['W'], run: () => this.closePane(this.activePane.id), available: () => this.panes.size > 1 },
+            { title: 'Next pane', keys: [']'], run: () => switchPane(1), available: () => this.panes.size > 1 },
+            { title: 'Previous pane', keys: ['['], run: () => switchPane(-1), available: () => this.panes.size > 1 },
+            { title: 'Split / tab panes', keys: ['\\'], run: () => this.toggleSplitPanes() },
+            { title: 'Alerts', keys: ['a'], run: () => this.openAlertsDialog() },
+            { title: 'Export events', keys: ['x'], run: () => this.openExportDialog() },
+            { title: 'Schema', keys: ['m'], run: () => this.openSchemaDialog() },
+            { title: 'Diagnostics', keys: ['i'], run: () => this.openDiagnosticsDialog() },
+            { title: 'Webhook deliveries', keys: [], run: () => this.openWebhooksDialog(), available: () => !this.webhooksBtn.classList.contains('hidden') },
+            { title: 'Sign out', keys: [], run: () => this.logout(), available: () => !this.logoutBtn.classList.contains('hidden') },
+            { title: 'Keyboard shortcuts', keys: ['?'], run: () => this.openCommandPalette(), palette: false }
+        ];
+    }
 
-            // Process queued messages
-            while (this.messageQueue.length > 0) {
-                this.displayChange(this.messageQueue.shift());
-            }
+    /**
+     * Runs the command bound to a key, unless the user is typing, a dialog is open or the login form is shown.
+     * Esc closes the modal, or else drops the entry cursor; Ctrl/Cmd+K opens the command palette from anywhere.
+     * @param {KeyboardEvent} e - The keydown event.
+     */
+    handleShortcut(e) {
+        if (e.key === 'Escape' && this.detailModal.classList.contains('open')) {
+            this.closeModal();
+            return;
+        }
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.openCommandPalette();
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (this.detailModal.classList.contains('open') || this.loginOverlay.classList.contains('open')) return;
+
+        const target = e.target || {};
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable) return;
+        if (['BUTTON', 'A'].includes(target.tagName) && (e.key === 'Enter' || e.key === ' ')) return;
+
+        if (e.key === 'Escape') {
+            this.setCursor(this.activePane, null);
+            return;
         }
+
+        const command = this.commands.find(({ keys }) => keys.includes(e.key));
+        if (!command || (command.available && !command.available())) return;
+        e.preventDefault();
+        command.run();
     }
 
     /**
-     * Clears all documents from the screen and history.
+     * Moves the entry cursor of the active pane (j/k), starting at the newest entry, and scrolls it into view.
+     * @param {number} step - 1 for the next (newer) entry, -1 for the previous one.
      */
-    clearScreen() {
-        // Keep only the structure
-        this.screen.innerHTML = '';
-        this.docCount = 0;
-        this.docCountEl.textContent = '0';
-        this.messageQueue = [];
-        this.history = [];
+    moveCursor(step) {
+        const pane = this.activePane;
+        const entries = pane.view.filter(item => item.data);
+        if (entries.length === 0) return;
+
+        const index = entries.indexOf(pane.cursor);
+        const next = index === -1 ? entries.length - 1 : Math.max(0, Math.min(entries.length - 1, index + step));
+        this.setCursor(pane, entries[next]);
+    }
 
-        localStorage.removeItem('mongoTV_history');
-        localStorage.removeItem('mongoTV_docCount');
+    /**
+     * Puts the entry cursor of a pane on an entry, scrolling it into view; null removes it.
+     * Following the newest entry stops unless the cursor is on it.
+     * @param {Object} pane - The pane.
+     * @param {Object|null} item - A pane item (see `appendItems()`).
+     */
+    setCursor(pane, item) {
+        const previous = pane.cursor && pane.rendered.get(pane.cursor);
+        if (previous) previous.classList.remove('cursor');
+        pane.cursor = item;
+        if (!item) return;
+
+        // Scroll the estimated position into view first, so the entry gets rendered
+        const { screen } = pane;
+        const row = Math.floor(pane.view.indexOf(item) / pane.columns);
+        if (pane.rowOffsets[row] < screen.scrollTop || pane.rowOffsets[row + 1] > screen.scrollTop + screen.clientHeight) {
+            screen.scrollTop = Math.max(pane.rowOffsets[row] - screen.clientHeight / 3, 0);
+        }
+        pane.followTail = item === pane.view[pane.view.length - 1];
+        this.renderPane(pane);
 
-        // Show welcome back
-        const welcome = document.createElement('div');
-        welcome.className = 'welcome-message';
-        welcome.id = 'welcome';
-        welcome.innerHTML = `
-      <div class="tv-static"></div>
-      <p>Screen cleared!</p>
-      <p class="hint">Waiting for new documents...</p>
-    `;
-        this.screen.appendChild(welcome);
-        this.welcome = welcome;
+        const el = pane.rendered.get(item);
+        if (el && el.scrollIntoView) el.scrollIntoView({ block: 'nearest' });
     }
 
     /**
-     * Toggles between YAML and JSON content format.
+     * Opens the entry under the active pane's cursor in the detail modal (Enter).
      */
-    toggleViewMode() {
-        this.viewMode = this.viewMode === 'yaml' ? 'json' : 'yaml';
-        document.body.dataset.viewMode = this.viewMode;
-        if (this.viewToggleBtn) this.viewToggleBtn.textContent = this.viewMode.toUpperCase();
-        localStorage.setItem('viewMode', this.viewMode);
+    openCursorEntry() {
+        const { cursor, rendered } = this.activePane;
+        const el = cursor && rendered.get(cursor);
+        if (el) this.openModal(el.querySelector('.doc-content'), cursor.data);
     }
 
     /**
-     * Toggles between Grid and List visualization layout.
+     * Describes a shortcut key for people, e.g. `Shift+C` or `Space`.
+     * @param {string} key - `KeyboardEvent.key` value.
+     * @returns {string} The label.
      */
-    toggleLayoutMode() {
-        this.layoutMode = this.layoutMode === 'grid' ? 'list' : 'grid';
-        document.body.classList.toggle('layout-grid', this.layoutMode === 'grid');
-        if (this.layoutToggleBtn) this.layoutToggleBtn.textContent = this.layoutMode === 'grid' ? 'GRID' : 'LIST';
-        localStorage.setItem('layoutMode', this.layoutMode);
+    keyLabel(key) {
+        if (key === ' ') return 'Space';
+        return /^[A-Z]$/.test(key) ? `Shift+${key}` : key;
     }
 
     /**
-     * Syntax highlighting for JSON content.
+     * Opens the command palette in the modal: fuzzy search over the commands and, unless the collection is fixed,
+     * the databases and collections to watch in the active pane.
      */
-    highlightJson(json) {
-        if (!json) return '';
-        const str = JSON.stringify(json, null, 2);
-        return str.replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g,
-            function (match) {
-                let cls = 'yaml-number';
-                if (/^"/.test(match)) {
-                    if (/:$/.test(match)) {
-                        cls = 'yaml-key';
-                    } else {
-                        cls = 'yaml-string';
-                    }
-                } else if (/true|false/.test(match)) {
-                    cls = 'yaml-boolean';
-                } else if (/null/.test(match)) {
-                    cls = 'yaml-null';
-                }
-                return '<span class="' + cls + '">' + match + '</span>';
+    openCommandPalette() {
+        this.closeModal();
+        this.palette = { query: '', index: 0, items: [] };
+
+        this.modalTitle.textContent = 'Command Palette';
+        this.modalBody.innerHTML = `
+      <div class="palette">
+        <input class="filter-input palette-input" type="text" spellcheck="false" placeholder="Type a command, database or collection">
+        <div class="palette-list"></div>
+        <div class="palette-hint">&uarr;&darr; to choose, Enter to run, Esc to close &middot; Ctrl/Cmd+K opens this from anywhere</div>
+      </div>
+    `;
+        this.detailModal.classList.add('open');
+
+        const input = this.modalBody.querySelector('.palette-input');
+        input.addEventListener('input', () => {
+            this.palette.query = input.value;
+            this.palette.index = 0;
+            this.renderCommandPalette();
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const count = this.palette.items.length;
+                if (count > 0) this.palette.index = (this.palette.index + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+                this.renderCommandPalette();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runPaletteItem(this.palette.index);
             }
-        );
+        });
+        this.modalBody.querySelector('.palette-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) this.runPaletteItem(parseInt(item.dataset.index, 10));
+        });
+
+        input.focus();
+        this.renderCommandPalette();
+        this.loadPaletteTargets();
     }
 
-    adjustFontSize(delta) {
-        this.fontSize = Math.max(0.4, Math.min(3.0, parseFloat((this.fontSize + delta).toFixed(1))));
-        document.documentElement.style.setProperty('--doc-font-size', `${this.fontSize}rem`);
-        localStorage.setItem('docFontSize', this.fontSize);
+    /**
+     * Loads the databases and their collections for the command palette (from /api/databases and /api/collections/:db).
+     */
+    async loadPaletteTargets() {
+        if (!this.canSwitchTargets()) return;
+
+        try {
+            const response = await fetch('/api/databases');
+            const databases = await response.json();
+            if (!response.ok) throw new Error(databases.error || `HTTP ${response.status}`);
+
+            const collections = await Promise.all(databases.map(async database => {
+                const res = await fetch(`/api/collections/${encodeURIComponent(database)}`);
+                return res.ok ? res.json() : [];
+            }));
+            this.paletteTargets = databases.flatMap((database, i) => [
+                { database, collection: '*' },
+                ...collections[i].map(collection => ({ database, collection }))
+            ]);
+            this.renderCommandPalette();
+        } catch (err) {
+            console.error('Failed to load collections for the command palette:', err);
+        }
     }
 
     /**
-     * Opens the detail modal for a selected document.
+     * Scores how well a query fuzzily matches a text: its characters in order, preferring runs and word starts.
+     * @param {string} query - What was typed.
+     * @param {string} text - The candidate.
+     * @returns {number|null} Higher is better; null if it does not match.
      */
-    openModal(contentEl, data) {
-        this.detailModal.classList.add('open');
-        this.modalBody.innerHTML = '';
-        this.modalTitle.textContent = `${data.operation} ${data.namespace}`;
+    fuzzyScore(query, text) {
+        const haystack = text.toLowerCase();
+        let score = 0;
+        let from = 0;
+        let previous = -2;
+
+        for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+            const at = haystack.indexOf(char, from);
+            if (at === -1) return null;
+            score += at === previous + 1 ? 3 : 1;
+            if (at === 0 || /[\s._\-/]/.test(haystack[at - 1])) score += 2;
+            previous = at;
+            from = at + 1;
+        }
+        // Shorter texts win ties
+        return score - haystack.length / 1000;
+    }
 
-        const clone = contentEl.cloneNode(true);
-        this.modalBody.appendChild(clone);
+    /**
+     * Renders the command palette's matches for its query, best first.
+     */
+    renderCommandPalette() {
+        const list = this.modalBody.querySelector('.palette-list');
+        if (!this.palette || !list) return;
+
+        const commands = this.commands
+            .filter(command => command.palette !== false && (!command.available || command.available()))
+            .map(command => ({ label: command.title, keys: command.keys.map(key => this.keyLabel(key)).join(' / '), run: command.run }));
+        const targets = this.paletteTargets.map(({ database, collection }) => ({
+            label: `Watch ${database}.${collection}`,
+            keys: '',
+            run: () => this.selectCollection(database, collection)
+        }));
+
+        const query = this.palette.query.trim();
+        this.palette.items = commands.concat(targets)
+            .map(item => ({ item, score: query ? this.fuzzyScore(query, item.label) : 0 }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 50)
+            .map(({ item }) => item);
+        this.palette.index = Math.min(this.palette.index, Math.max(this.palette.items.length - 1, 0));
+
+        list.innerHTML = this.palette.items.length === 0
+            ? '<div class="sidebar-loading">No matches</div>'
+            : this.palette.items.map((item, i) => `
+          <div class="palette-item${i === this.palette.index ? ' selected' : ''}" data-index="${i}">
+            <span>${this.escapeHtml(item.label)}</span>
+            ${item.keys ? `<kbd>${this.escapeHtml(item.keys)}</kbd>` : ''}
+          </div>
+        `).join('');
+
+        const selected = list.querySelector('.palette-item.selected');
+        if (selected && selected.scrollIntoView) selected.scrollIntoView({ block: 'nearest' });
     }
 
-    closeModal() {
-        this.detailModal.classList.remove('open');
+    /**
+     * Closes the palette and runs one of its matches.
+     * @param {number} index - Position in the rendered matches.
+     */
+    runPaletteItem(index) {
+        const item = this.palette && this.palette.items[index];
+        if (!item) return;
+        this.closeModal();
+        item.run();
     }
 
     toggleSound() {
@@ -812,11 +4025,353 @@ class MongoTV {
         this.soundIcon.innerHTML = this.soundEnabled ? this.unmutedSvg : this.mutedSvg;
 
         // Initialize audio context on first enable
-        if (this.soundEnabled && !this.audioContext) {
+        if (this.soundEnabled) {
+            this.ensureAudioContext();
+        }
+    }
+
+    /**
+     * Creates the audio context used for beeps and alert sounds (must run inside a user gesture).
+     */
+    ensureAudioContext() {
+        if (!this.audioContext) {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         }
     }
 
+    /**
+     * Reads a JSON array saved in localStorage.
+     * @param {string} key - Storage key.
+     * @returns {Array} The stored list, or an empty one.
+     */
+    loadStoredList(key) {
+        try {
+            const list = JSON.parse(localStorage.getItem(key));
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Parses an alert condition such as `status == "failed" && amount > 10000`.
+     * Clauses are `field op value` (op is ==, !=, >, >=, <, <= or ~ for a case-insensitive regex)
+     * or a bare field, which must exist. Values are JSON (`"text"`, `42`, `true`, `null`) or a plain word.
+     * @param {string} text - Condition text; empty matches every event.
+     * @returns {Array<{path: string, op: string, value: *}>} Clauses, all of which must hold.
+     * @throws {Error} If a clause cannot be parsed.
+     */
+    parseAlertCondition(text) {
+        if (!text || !text.trim()) return [];
+
+        return text.split('&&').map(clause => {
+            const match = /^\s*([\w.$]+)\s*(?:(==|!=|>=|<=|>|<|~)\s*(.+?))?\s*$/.exec(clause);
+            if (!match) throw new Error(`Cannot read condition "${clause.trim()}"`);
+
+            const [, path, op = 'exists', raw] = match;
+            let value = raw;
+            if (raw !== undefined) {
+                try {
+                    value = JSON.parse(raw);
+                } catch (e) {
+                    value = raw;
+                }
+            }
+            if (op === '~') {
+                try {
+                    value = new RegExp(String(value), 'i');
+                } catch (err) {
+                    throw new Error(`Invalid pattern in "${clause.trim()}": ${err.message}`);
+                }
+            }
+            return { path, op, value };
+        });
+    }
+
+    /**
+     * Turns an Extended JSON value into something comparable (numbers, date and id strings).
+     * @param {*} value - Value from the event.
+     * @returns {*} Plain value.
+     */
+    plainValue(value) {
+        const type = this.ejsonType(value);
+        if (!type) return value;
+
+        const [key] = Object.keys(value);
+        const wrapped = value[key];
+        if (['$numberInt', '$numberLong', '$numberDouble', '$numberDecimal'].includes(key)) return Number(wrapped);
+        if (key === '$date') return typeof wrapped === 'string' ? wrapped : new Date(Number(wrapped.$numberLong)).toISOString();
+        return typeof wrapped === 'string' ? wrapped : JSON.stringify(value);
+    }
+
+    /**
+     * Looks up a dotted field path in an event: the full document, else the updated fields, else the document key.
+     * @param {Object} data - `change` message.
+     * @param {string} path - Dotted path, e.g. `payment.amount`.
+     * @returns {*} The plain value, or undefined.
+     */
+    alertFieldValue(data, path) {
+        const raw = data.raw || {};
+        const lookup = (doc) => path.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), doc);
+
+        let value = lookup(raw.document);
+        if (value === undefined && raw.updates && raw.updates.updatedFields) {
+            value = raw.updates.updatedFields[path] !== undefined ? raw.updates.updatedFields[path] : lookup(raw.updates.updatedFields);
+        }
+        if (value === undefined) value = lookup(raw.documentKey);
+        return this.plainValue(value);
+    }
+
+    /**
+     * Whether a namespace matches a rule pattern (`db.coll`, `db.*`, `*.*`; empty matches all).
+     */
+    namespaceMatches(namespace, pattern) {
+        if (!pattern || pattern === '*.*') return true;
+        if (pattern.endsWith('.*')) return namespace.startsWith(pattern.slice(0, -1));
+        return namespace === pattern;
+    }
+
+    /**
+     * Finds the enabled alert rules an event satisfies.
+     * @param {Object} data - `change` message.
+     * @returns {Object[]} Matching rules.
+     */
+    matchAlertRules(data) {
+        return this.alertRules.filter(rule => {
+            if (!rule.enabled) return false;
+            if (!this.namespaceMatches(data.namespace, rule.namespace)) return false;
+            if (rule.operations.length > 0 && !rule.operations.includes(data.operation)) return false;
+
+            if (!this.alertConditions.has(rule.condition)) {
+                try {
+                    this.alertConditions.set(rule.condition, this.parseAlertCondition(rule.condition));
+                } catch (e) {
+                    this.alertConditions.set(rule.condition, null);
+                }
+            }
+            const clauses = this.alertConditions.get(rule.condition);
+            if (!clauses) return false;
+
+            return clauses.every(({ path, op, value }) => {
+                const actual = this.alertFieldValue(data, path);
+                if (op === 'exists') return actual !== undefined && actual !== null;
+                if (actual === undefined) return false;
+                if (op === '~') return value.test(String(actual));
+                if (op === '==') return actual === value || String(actual) === String(value);
+                if (op === '!=') return actual !== value && String(actual) !== String(value);
+
+                // Ordering compares numbers numerically and everything else as text (e.g. ISO dates)
+                const [a, b] = typeof value === 'number' ? [Number(actual), value] : [String(actual), String(value)];
+                if (typeof a === 'number' && Number.isNaN(a)) return false;
+                return { '>': a > b, '>=': a >= b, '<': a < b, '<=': a <= b }[op];
+            });
+        });
+    }
+
+    /**
+     * Records alerts for an event and announces them: log entry, desktop notification and rule sound.
+     * @param {Object} data - `change` message.
+     * @param {Object[]} rules - Matching rules.
+     */
+    raiseAlerts(data, rules) {
+        rules.forEach(rule => {
+            this.alertLog.unshift({
+                rule: rule.name,
+                operation: data.operation,
+                namespace: data.namespace,
+                id: data.id || null,
+                timestamp: data.timestamp
+            });
+
+            if (rule.notify && 'Notification' in window && Notification.permission === 'granted') {
+                new Notification(`Mongo TV: ${rule.name}`, {
+                    body: `${data.operation} on ${data.namespace}`,
+                    tag: `mongo-tv-${rule.id}`
+                });
+            }
+        });
+
+        this.alertLog.length = Math.min(this.alertLog.length, this.MAX_ALERT_LOG);
+        localStorage.setItem('alertLog', JSON.stringify(this.alertLog));
+
+        this.unreadAlerts += rules.length;
+        this.alertCount.textContent = this.unreadAlerts > 99 ? '99+' : this.unreadAlerts;
+        this.alertCount.classList.remove('hidden');
+    }
+
+    /**
+     * Opens the alert rules editor and alert log in the modal.
+     */
+    openAlertsDialog() {
+        this.unreadAlerts = 0;
+        this.alertCount.classList.add('hidden');
+
+        // Opening the dialog is a user gesture, so the sound test works right away
+        this.ensureAudioContext();
+
+        this.modalTitle.textContent = 'Alerts';
+        this.renderAlertsDialog();
+        this.detailModal.classList.add('open');
+    }
+
+    /**
+     * Renders the rules list, the new rule form and the alert log into the modal.
+     */
+    renderAlertsDialog() {
+        const operations = ['INSERT', 'UPDATE', 'REPLACE', 'DELETE'];
+        const sounds = ['chime', 'siren', 'pulse', 'none'];
+
+        const rules = this.alertRules.map(rule => `
+          <div class="alert-rule${rule.enabled ? '' : ' disabled'}" data-id="${rule.id}">
+            <label><input type="checkbox" data-action="toggle"${rule.enabled ? ' checked' : ''}></label>
+            <div class="alert-rule-text">
+              <div class="alert-rule-name">${this.escapeHtml(rule.name)}</div>
+              <div class="webhook-detail">${this.escapeHtml(rule.namespace || '*.*')} &middot; ${rule.operations.length > 0 ? rule.operations.join(', ') : 'any operation'}${rule.condition ? ` &middot; ${this.escapeHtml(rule.condition)}` : ''} &middot; ${rule.sound}${rule.notify ? ' &middot; notify' : ''}</div>
+            </div>
+            <button type="button" class="btn-small" data-action="delete" title="Delete Rule">&times;</button>
+          </div>`).join('');
+
+        const log = this.alertLog.map(alert => `
+          <div class="alert-log-item">
+            <span class="doc-timestamp">${new Date(alert.timestamp).toLocaleString()}</span>
+            <span class="alert-badge">${this.escapeHtml(alert.rule)}</span>
+            <span class="operation-badge ${alert.operation}">${alert.operation}</span>
+            <span class="doc-namespace">${this.escapeHtml(alert.namespace)}</span>
+          </div>`).join('');
+
+        this.modalBody.innerHTML = `
+      <div class="alerts-dialog">
+        <div class="alerts-section-title">Rules</div>
+        ${rules || '<div class="sidebar-loading">No rules yet</div>'}
+        <form class="alert-rule-form">
+          <input class="filter-input" name="name" placeholder="Name, e.g. Failed payment" required>
+          <input class="filter-input" name="namespace" placeholder="Namespace, e.g. shop.orders or shop.* (default: all)">
+          <div class="filter-ops">
+            ${operations.map(op => `<label><input type="checkbox" name="operations" value="${op}"> ${op}</label>`).join('')}
+          </div>
+          <input class="filter-input" name="condition" placeholder='Condition, e.g. status == "failed" &amp;&amp; amount > 10000'>
+          <div class="alert-rule-options">
+            <label>Sound <select class="filter-input" name="sound">${sounds.map(sound => `<option value="${sound}">${sound}</option>`).join('')}</select></label>
+            <button type="button" class="btn-small" data-action="test-sound">TEST</button>
+            <label><input type="checkbox" name="notify"> Desktop notification</label>
+          </div>
+          <div class="filter-error"></div>
+          <button type="submit" class="btn-small">ADD RULE</button>
+        </form>
+        <div class="alerts-section-title">
+          Log
+          ${this.alertLog.length > 0 ? '<button type="button" class="btn-small" data-action="clear-log">CLEAR</button>' : ''}
+        </div>
+        ${log || '<div class="sidebar-loading">No alerts yet</div>'}
+      </div>
+    `;
+
+        const dialog = this.modalBody.querySelector('.alerts-dialog');
+        const form = dialog.querySelector('.alert-rule-form');
+
+        dialog.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            const ruleEl = e.target.closest('.alert-rule');
+            if (action === 'toggle' && ruleEl) {
+                const rule = this.alertRules.find(r => r.id === ruleEl.dataset.id);
+                rule.enabled = e.target.checked;
+                this.saveAlertRules();
+            } else if (action === 'delete' && ruleEl) {
+                this.alertRules = this.alertRules.filter(r => r.id !== ruleEl.dataset.id);
+                this.saveAlertRules();
+            } else if (action === 'test-sound') {
+                this.playAlertSound(form.sound.value);
+            } else if (action === 'clear-log') {
+                this.alertLog = [];
+                localStorage.removeItem('alertLog');
+                this.renderAlertsDialog();
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addAlertRule(form);
+        });
+    }
+
+    /**
+     * Validates the new rule form and saves the rule.
+     * @param {HTMLFormElement} form - The alert rule form.
+     */
+    addAlertRule(form) {
+        const condition = form.condition.value.trim();
+        try {
+            this.parseAlertCondition(condition);
+        } catch (err) {
+            form.querySelector('.filter-error').textContent = err.message;
+            return;
+        }
+
+        const rule = {
+            id: Date.now().toString(36),
+            name: form.name.value.trim(),
+            namespace: form.namespace.value.trim(),
+            operations: [...form.querySelectorAll('input[name="operations"]:checked')].map(input => input.value),
+            condition,
+            sound: form.sound.value,
+            notify: form.notify.checked,
+            enabled: true
+        };
+
+        if (rule.notify && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+
+        this.alertRules.push(rule);
+        this.saveAlertRules();
+    }
+
+    /**
+     * Persists the alert rules and re-renders everything that depends on them.
+     */
+    saveAlertRules() {
+        localStorage.setItem('alertRules', JSON.stringify(this.alertRules));
+        this.renderAlertsDialog();
+
+        // Refresh the badges of the entries on screen
+        this.rerenderEntries();
+    }
+
+    /**
+     * Plays a rule's alert sound, distinct from the per-operation beeps.
+     * @param {string} sound - `chime`, `siren` or `pulse`.
+     */
+    playAlertSound(sound) {
+        if (!this.audioContext || sound === 'none') return;
+
+        const now = this.audioContext.currentTime;
+        const tone = (frequency, start, duration, type, endFrequency) => {
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            oscillator.connect(gainNode);
+            gainNode.connect(this.audioContext.destination);
+
+            oscillator.type = type;
+            oscillator.frequency.setValueAtTime(frequency, now + start);
+            if (endFrequency) oscillator.frequency.linearRampToValueAtTime(endFrequency, now + start + duration);
+            gainNode.gain.setValueAtTime(0.15, now + start);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, now + start + duration);
+
+            oscillator.start(now + start);
+            oscillator.stop(now + start + duration);
+        };
+
+        if (sound === 'chime') {
+            tone(988, 0, 0.25, 'sine');
+            tone(1319, 0.18, 0.4, 'sine');
+        } else if (sound === 'siren') {
+            tone(600, 0, 0.35, 'sawtooth', 1200);
+            tone(1200, 0.35, 0.35, 'sawtooth', 600);
+        } else if (sound === 'pulse') {
+            [0, 0.15, 0.3].forEach(start => tone(1046, start, 0.08, 'square'));
+        }
+    }
+
     /**
      * Plays a retro beep sound based on the operation type.
      */
@@ -2,9 +2,11 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
-const { MongoClient } = require('mongodb');
+const { MongoClient, BSON } = require('mongodb');
 const yaml = require('js-yaml');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 
 // ==========================================
 // Configuration
@@ -31,15 +33,126 @@ const MONGODB_COLLECTION = process.env.MONGODB_COLLECTION || '';
 /** Default format for client view (yaml or json) */
 const DEFAULT_CONTENT_FORMAT = process.env.DEFAULT_CONTENT_FORMAT || 'yaml';
 
-/** Default layout mode (list or grid) */
+/** Default layout mode (list, grid or dashboard) */
 const DEFAULT_LAYOUT_MODE = process.env.DEFAULT_LAYOUT_MODE || 'list';
 
+/** Default Extended JSON mode for the `json` payload (relaxed or canonical); clients can override it */
+const DEFAULT_EJSON_MODE = process.env.DEFAULT_EJSON_MODE === 'canonical' ? 'canonical' : 'relaxed';
+
+/** Default client history per pane: a number of events or an age (`30m`, `24h`, `7d`); users can set their own */
+const HISTORY_RETENTION = /^(\d+|\d+[mhd])$/.test(process.env.HISTORY_RETENTION || '') ? process.env.HISTORY_RETENTION : '1000';
+
 /**
  * List of collections to exclude from the API results.
  * Useful for hiding system collections or high-volume logs.
  */
 const EXCLUDED_COLLECTIONS = process.env.EXCLUDED_COLLECTIONS ? process.env.EXCLUDED_COLLECTIONS.split(',').map(s => s.trim()) : [];
 
+/** Directory for files the server persists (resume tokens, etc.) */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Where change stream resume tokens are persisted: `file`, `mongodb` or `none`.
+ * Tokens let a stream pick up where it left off after errors and restarts.
+ */
+const RESUME_TOKEN_STORE = process.env.RESUME_TOKEN_STORE || 'file';
+
+/** File used by the `file` resume token store */
+const RESUME_TOKEN_FILE = process.env.RESUME_TOKEN_FILE || path.join(DATA_DIR, 'resume-tokens.json');
+
+/** `database.collection` used by the `mongodb` resume token store */
+const RESUME_TOKEN_COLLECTION = process.env.RESUME_TOKEN_COLLECTION || 'mongo_tv.resume_tokens';
+
+/** Delay before reopening a change stream that failed (ms) */
+const STREAM_RETRY_DELAY_MS = parseInt(process.env.STREAM_RETRY_DELAY_MS, 10) || 5000;
+
+/** What happens when a watched collection or database is dropped or renamed: 'prompt' (ask in the UI), 'rewatch' or 'follow' (renames) */
+const INVALIDATE_ACTION = ['rewatch', 'follow'].includes(process.env.INVALIDATE_ACTION) ? process.env.INVALIDATE_ACTION : 'prompt';
+
+/** Poll collections instead of opening change streams: 'off', 'auto' (standalone deployments only) or 'always' */
+const POLLING_MODE = ['auto', 'always'].includes(process.env.POLLING_MODE) ? process.env.POLLING_MODE : 'off';
+
+/** How often polled collections are queried (ms) */
+const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS, 10) || 2000;
+
+/** Optional: Field holding each document's last modification time; polling only reports updates when set */
+const POLL_UPDATED_AT_FIELD = process.env.POLL_UPDATED_AT_FIELD || '';
+
+/** Whether polling detects deletes by comparing all `_id`s every round (collections up to POLL_DELETE_SCAN_LIMIT documents) */
+const POLL_DETECT_DELETES = process.env.POLL_DETECT_DELETES === 'true';
+
+/** Number of recent events kept in memory per namespace (0 disables the buffer) */
+const EVENT_BUFFER_SIZE = process.env.EVENT_BUFFER_SIZE !== undefined ? parseInt(process.env.EVENT_BUFFER_SIZE, 10) || 0 : 200;
+
+/** Optional: File the event buffer is saved to, so history survives restarts */
+const EVENT_BUFFER_FILE = process.env.EVENT_BUFFER_FILE || '';
+
+/** Number of buffered events replayed to a client when it starts watching a target */
+const EVENT_REPLAY_LIMIT = process.env.EVENT_REPLAY_LIMIT !== undefined ? parseInt(process.env.EVENT_REPLAY_LIMIT, 10) || 0 : 50;
+
+/** Watch panes (independent subscriptions) a single client may have open */
+const MAX_WATCH_PANES = parseInt(process.env.MAX_WATCH_PANES, 10) || 8;
+
+/** Messages for a client are collected for this long and sent as one frame (ms) */
+const BATCH_INTERVAL_MS = process.env.BATCH_INTERVAL_MS !== undefined ? parseInt(process.env.BATCH_INTERVAL_MS, 10) || 0 : 50;
+
+/** Data waiting for a client (socket buffer plus pending batch) above which its change events are skipped (KB) */
+const CLIENT_BUFFER_LIMIT_KB = parseInt(process.env.CLIENT_BUFFER_LIMIT_KB, 10) || 1024;
+
+/** What happens to change events for a client over its buffer limit: `drop` them, or `sample` (keep one in CLIENT_SAMPLE_EVERY) */
+const CLIENT_OVERFLOW_POLICY = process.env.CLIENT_OVERFLOW_POLICY === 'sample' ? 'sample' : 'drop';
+
+/** With the `sample` policy, one in this many events still reaches a client over its buffer limit */
+const CLIENT_SAMPLE_EVERY = parseInt(process.env.CLIENT_SAMPLE_EVERY, 10) || 10;
+
+/**
+ * Optional: YAML or JSON file with UI users (hashed passwords) and API tokens.
+ * Setting it (or AUTH_TOKEN) turns on authentication for the UI, the API and the WebSocket.
+ */
+const AUTH_USERS_FILE = process.env.AUTH_USERS_FILE || '';
+
+/** Optional: Static bearer token with operator access to every namespace */
+const AUTH_TOKEN = process.env.AUTH_TOKEN || '';
+
+/** Optional: Bearer token that may only read /metrics (for Prometheus); operators can read it too */
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+/** How long a UI login lasts (hours) */
+const AUTH_SESSION_TTL_HOURS = parseFloat(process.env.AUTH_SESSION_TTL_HOURS) || 12;
+
+/** Failed sign-ins allowed per client IP and per username before further attempts are refused for a while */
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+
+/** How long sign-ins stay refused after too many failures, and the window failures are counted in (seconds) */
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 300;
+
+/** Whether requests must be authenticated */
+const AUTH_ENABLED = !!(AUTH_USERS_FILE || AUTH_TOKEN);
+
+/** Optional: YAML or JSON file of rules that remove, hash or mask fields before events leave the server */
+const REDACTION_RULES_FILE = process.env.REDACTION_RULES_FILE || '';
+
+/** Secret for `hash` redaction; without it hashes differ after every restart */
+const REDACTION_HASH_KEY = process.env.REDACTION_HASH_KEY || crypto.randomBytes(32).toString('hex');
+
+/** Optional: YAML or JSON file of webhook sinks that matching change events are POSTed to */
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || '';
+
+/** Delivery attempts per event before it goes to the dead-letter file */
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+
+/** Delay before the first retry (ms); doubles with each further attempt */
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+
+/** Timeout of a single delivery request (ms) */
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+/** Events waiting per sink; further events go straight to the dead-letter file */
+const WEBHOOK_QUEUE_LIMIT = parseInt(process.env.WEBHOOK_QUEUE_LIMIT, 10) || 1000;
+
+/** NDJSON file undeliverable webhook events are appended to */
+const WEBHOOK_DEAD_LETTER_FILE = process.env.WEBHOOK_DEAD_LETTER_FILE || path.join(DATA_DIR, 'webhook-dead-letters.ndjson');
+
 // ==========================================
 // Server Setup
 // ==========================================
@@ -49,274 +162,3932 @@ const server = http.createServer(app);
 
 // Serve static assets from public directory
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+// Exports of picked events list their ids in the body
+app.use(express.json({ limit: '1mb' }));
 
-// Initialize WebSocket Server
-const wss = new WebSocket.Server({ server });
+// Initialize WebSocket Server; the upgrade is refused without a valid session or token
+const wss = new WebSocket.Server({
+  server,
+  verifyClient: ({ req }, done) => {
+    if (!AUTH_ENABLED) return done(true);
+    try {
+      req.principal = authenticate(req);
+    } catch (err) {
+      console.error('Failed to authenticate WebSocket upgrade:', err.message);
+      req.principal = null;
+    }
+    done(!!req.principal, 401, 'Authentication required');
+  }
+});
 
 /** Set of active WebSocket clients */
 const clients = new Set();
 
+/**
+ * Per-client watch sessions, keyed by WebSocket.
+ * A client watches one target per pane; each pane records the target (and filter) it asked for and the shared watcher it is attached to.
+ * The outbox collects the client's messages until the next batch is sent (see `queueMessage()`).
+ * @type {Map<WebSocket, {ejsonMode: string, principal: Object|null, authSessionId: string|null, panes: Map<string, {ws: WebSocket, pane: string, target: Object, filter: Object|null, startFrom: Object|null, watcher: Object|null}>, outbox: Object}>}
+ */
+const sessions = new Map();
+
+/**
+ * Shared change streams, keyed by watch key (description plus filter, see `watchKey()`).
+ * Panes watching the same target with the same filter share one cursor; it is closed when the last subscriber leaves.
+ * Subscribers are the panes of `sessions`. Webhook sinks attach to unfiltered watchers the same way and keep them open without any client.
+ * A pane that starts in the past gets a watcher of its own (`shared: false`) that replays from its start point, then stays live.
+ * @type {Map<string, {key: string, description: string, database: string, collection: string, namespaces: string[]|null, filter: Object|null, pipeline: Object[], stream: Object|null, poller: Object|null, subscribers: Set<Object>, sinks: Object[], retryTimer: Object|null, ending: Object|null, invalidated: Object|null, lastError: Object|null, shared: boolean, startFrom: Object|null, catchUp: Object|null}>}
+ */
+const watchers = new Map();
+
+/**
+ * Last seen resume token per watch key.
+ * Mirrors the configured store; flushed in the background after changes.
+ * @type {Map<string, {token: Object, savedAt: string}>}
+ */
+const resumeTokens = new Map();
+
+/** Watch keys whose tokens were removed since the last flush (mongodb store only) */
+const deletedResumeTokens = new Set();
+
+/** Pending resume token flush timer */
+let resumeTokenFlushTimer = null;
+
+/**
+ * Recent events per namespace (oldest first), capped at EVENT_BUFFER_SIZE.
+ * @type {Map<string, Object[]>}
+ */
+const eventBuffers = new Map();
+
+/** Ids of buffered events, so the same event seen by overlapping watchers is stored once */
+const bufferedEventIds = new Set();
+
+/** Pending event buffer flush timer */
+let eventBufferFlushTimer = null;
+
+/**
+ * UI users from AUTH_USERS_FILE, keyed by username.
+ * @type {Map<string, {principal: Object, passwordHash: string}>}
+ */
+const authUsers = new Map();
+
+/**
+ * Bearer tokens (AUTH_TOKEN and the `tokens` of AUTH_USERS_FILE).
+ * @type {Array<{digest: Buffer, principal: Object}>}
+ */
+const authTokens = [];
+
+/**
+ * Logged-in UI sessions, keyed by the id stored in the session cookie.
+ * @type {Map<string, {principal: Object, expiresAt: number}>}
+ */
+const authSessions = new Map();
+
+/**
+ * Redaction rules from REDACTION_RULES_FILE (see `loadRedactionRules()`).
+ * @type {Array<{namespaces: string[], fields: string[], keys: RegExp|null, mode: string, keep: number}>}
+ */
+const redactionRules = [];
+
+/**
+ * Webhook sinks from WEBHOOKS_FILE, with their delivery queue and status (see `loadWebhooks()`).
+ * @type {Object[]}
+ */
+const webhookSinks = [];
+
+/**
+ * Counters and timings exposed on /metrics (see `renderMetrics()`).
+ * Events seen by several overlapping watchers are counted once, by id.
+ */
+const metrics = {
+  startedAt: Date.now(),
+  /** `namespace\toperation` -> events received */
+  events: new Map(),
+  /** namespace -> time of its last event (ms) */
+  lastEventAt: new Map(),
+  /** Recently counted event ids (insertion ordered, capped) */
+  countedEventIds: new Set(),
+  /** watch target -> change stream errors */
+  streamErrors: new Map(),
+  /** watch target -> change streams reopened after an error */
+  streamRestarts: new Map(),
+  /** watch target -> change streams ended by a drop or rename */
+  streamInvalidations: new Map(),
+  /** Change events not sent to clients that were over their buffer limit */
+  skippedEvents: 0,
+  /** Cumulative histogram of the time from receiving an event to queuing it for subscribers (batches go out every BATCH_INTERVAL_MS) */
+  broadcastLatency: { buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1], counts: new Array(10).fill(0), sum: 0, count: 0 }
+};
+
 /** Global MongoDB Client instance */
 let mongoClient = null;
 
-/** Active Change Stream cursor */
-let currentChangeStream = null;
+/** Whether the MongoDB client has finished connecting */
+let mongoConnected = false;
+
+/** Whether the driver currently sees a server it can use (updated from topology changes) */
+let mongoReachable = false;
+
+/** Deployment type and version, probed once connected (see `describeDeployment()`) */
+let deployment = null;
+
+/** Last result of the slower diagnostics probes and when it was taken (see `probeDiagnostics()`) */
+let diagnosticsCache = null;
+
+/** Whether the SIGINT/SIGTERM shutdown handlers are installed (connection retries must not add them again) */
+let shutdownHandlersInstalled = false;
+
+// ==========================================
+// Helper Functions
+// ==========================================
+
+/**
+ * Broadcasts a data object to connected WebSocket clients.
+ * @param {Object} data - The payload to send.
+ * @param {Set<WebSocket>} [recipients] - Clients to send to. Defaults to every connected client.
+ */
+function broadcast(data, recipients = clients) {
+  const message = JSON.stringify(data);
+  recipients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+/**
+ * Builds the display description for a watch target.
+ * @param {string} [database] - Database name (optional).
+ * @param {string} [collection] - Collection name (optional). '*' for db watch.
+ * @returns {string} `db.coll`, `db.*` or `*.*`.
+ */
+function describeTarget(database, collection) {
+  if (database && collection && collection !== '*') {
+    return `${database}.${collection}`;
+  }
+  if (database) {
+    return `${database}.*`;
+  }
+  return '*.*';
+}
+
+/**
+ * Maps a change stream operation type to the label shown in the UI.
+ * @param {string} operationType - e.g. `insert`.
+ * @returns {string} e.g. `INSERT`.
+ */
+function operationLabel(operationType) {
+  const operationMap = {
+    'insert': 'INSERT',
+    'update': 'UPDATE',
+    'replace': 'REPLACE',
+    'delete': 'DELETE',
+    'drop': 'DROP',
+    'rename': 'RENAME',
+    'dropDatabase': 'DROPDATABASE',
+    'invalidate': 'INVALIDATE'
+  };
+  return operationMap[operationType] || operationType.toUpperCase();
+}
+
+/**
+ * When a change happened: the event's wall clock time, else its cluster time, else now (e.g. for polled changes).
+ * @param {Object} change - The raw change stream event.
+ * @returns {number} Milliseconds since the epoch.
+ */
+function changeTime(change) {
+  if (change.wallTime) return new Date(change.wallTime).getTime();
+  if (change.clusterTime) return change.clusterTime.t * 1000;
+  return Date.now();
+}
+
+/**
+ * Formats a raw MongoDB change event into a cleaner structure for the client.
+ * @param {Object} change - The raw change stream event.
+ * @returns {Object} A formatted event object.
+ */
+function formatChangeEvent(change) {
+  const formatted = {
+    operation: operationLabel(change.operationType),
+    timestamp: new Date(changeTime(change)).toISOString(),
+    namespace: `${change.ns?.db || 'unknown'}.${change.ns?.coll || 'unknown'}`,
+    documentKey: change.documentKey,
+  };
+
+  // Include full document for inserts/updates/replaces
+  if (change.fullDocument) {
+    formatted.document = change.fullDocument;
+  }
+
+  // Include update description for updates
+  if (change.updateDescription) {
+    formatted.updates = change.updateDescription;
+  }
+
+  // Include the pre-image when the collection records them (changeStreamPreAndPostImages)
+  if (change.fullDocumentBeforeChange) {
+    formatted.before = change.fullDocumentBeforeChange;
+  }
+
+  // Include the new name for renames
+  if (change.to) {
+    formatted.renamedTo = `${change.to.db}.${change.to.coll}`;
+  }
+
+  redactEvent(formatted);
+
+  return formatted;
+}
+
+/**
+ * YAML schema with tags for BSON types, so values keep their type in the YAML view
+ * (e.g. `price: !decimal '19.99'` rather than a plain string or a nested object).
+ * Dates use YAML's native timestamp type.
+ */
+const BSON_YAML_SCHEMA = yaml.DEFAULT_SCHEMA.extend([
+  new yaml.Type('!oid', { kind: 'scalar', instanceOf: BSON.ObjectId, represent: v => v.toHexString() }),
+  new yaml.Type('!decimal', { kind: 'scalar', instanceOf: BSON.Decimal128, represent: v => v.toString() }),
+  // Timestamp extends Long, so it must be matched first
+  new yaml.Type('!timestamp', { kind: 'scalar', instanceOf: BSON.Timestamp, represent: v => `${v.t}:${v.i}` }),
+  new yaml.Type('!long', { kind: 'scalar', instanceOf: BSON.Long, represent: v => v.toString() }),
+  new yaml.Type('!int32', { kind: 'scalar', instanceOf: BSON.Int32, represent: v => String(v.valueOf()) }),
+  new yaml.Type('!double', { kind: 'scalar', instanceOf: BSON.Double, represent: v => String(v.valueOf()) }),
+  new yaml.Type('!uuid', {
+    kind: 'scalar',
+    predicate: v => v instanceof BSON.Binary && v.sub_type === BSON.Binary.SUBTYPE_UUID,
+    represent: v => v.toUUID().toHexString()
+  }),
+  new yaml.Type('!binary', { kind: 'scalar', instanceOf: BSON.Binary, represent: v => v.toString('base64') }),
+  new yaml.Type('!minKey', { kind: 'scalar', instanceOf: BSON.MinKey, represent: () => '' }),
+  new yaml.Type('!maxKey', { kind: 'scalar', instanceOf: BSON.MaxKey, represent: () => '' }),
+  new yaml.Type('!regex', {
+    kind: 'scalar',
+    predicate: v => v instanceof RegExp || v instanceof BSON.BSONRegExp,
+    represent: v => (v instanceof RegExp ? String(v) : `/${v.pattern}/${v.options}`)
+  }),
+  new yaml.Type('!symbol', { kind: 'scalar', instanceOf: BSON.BSONSymbol, represent: v => v.valueOf() }),
+  new yaml.Type('!code', { kind: 'scalar', instanceOf: BSON.Code, represent: v => v.code }),
+  new yaml.Type('!dbref', {
+    kind: 'mapping',
+    instanceOf: BSON.DBRef,
+    represent: v => (v.db ? { $ref: v.collection, $id: v.oid, $db: v.db } : { $ref: v.collection, $id: v.oid })
+  })
+]);
+
+/**
+ * Converts an object to a YAML string.
+ * @param {Object} obj - The object to convert.
+ * @returns {string} The YAML string.
+ */
+function toYaml(obj) {
+  return yaml.dump(obj, {
+    schema: BSON_YAML_SCHEMA,
+    indent: 2,
+    lineWidth: -1,
+    noRefs: true,
+    sortKeys: false
+  });
+}
+
+/**
+ * Rewrites canonical Extended JSON into relaxed form without losing information.
+ * Unlike the driver's relaxed mode, 64-bit integers outside the safe JS range and
+ * dates outside years 1970-9999 stay wrapped instead of being rounded.
+ * @param {*} value - Canonical Extended JSON value.
+ * @returns {*} Relaxed Extended JSON value.
+ */
+function relaxExtendedJson(value) {
+  if (Array.isArray(value)) {
+    return value.map(relaxExtendedJson);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 1) {
+    const wrapped = value[keys[0]];
+    switch (keys[0]) {
+      case '$numberInt':
+        return parseInt(wrapped, 10);
+      case '$numberLong': {
+        const n = Number(wrapped);
+        return Number.isSafeInteger(n) ? n : value;
+      }
+      case '$numberDouble': {
+        const n = Number(wrapped);
+        return Number.isFinite(n) && !Object.is(n, -0) ? n : value;
+      }
+      case '$date': {
+        const ms = Number(wrapped.$numberLong);
+        return ms >= 0 && ms <= 253402300799999 ? { $date: new Date(ms).toISOString() } : value;
+      }
+    }
+  }
+
+  const relaxed = {};
+  for (const key of keys) {
+    relaxed[key] = relaxExtendedJson(value[key]);
+  }
+  return relaxed;
+}
+
+/**
+ * Serializes a value (possibly containing BSON types) to Extended JSON.
+ * @param {*} value - Value to serialize.
+ * @param {string} mode - `relaxed` or `canonical`.
+ * @returns {*} A JSON-safe Extended JSON value.
+ */
+function toExtendedJson(value, mode) {
+  const canonical = BSON.EJSON.serialize(value, { relaxed: false });
+  return mode === 'canonical' ? canonical : relaxExtendedJson(canonical);
+}
+
+/**
+ * Picks the part of a formatted event shown in the YAML/JSON views.
+ * @param {Object} formatted - Output of `formatChangeEvent()`.
+ * @returns {Object} The document, update description or document key.
+ */
+function changePayload(formatted) {
+  if (formatted.document) {
+    return formatted.document;
+  }
+  if (formatted.updates) {
+    return formatted.updates;
+  }
+  return { documentKey: formatted.documentKey };
+}
+
+/**
+ * Wraps a formatted change event so it can be sent now and replayed later from the buffer.
+ * The resume token doubles as the event id: it is unique and stable across restarts.
+ * The raw event is kept for NDJSON exports; it shares its documents with `formatted`, so redaction applies to both.
+ * @param {Object} change - The raw change stream event.
+ * @param {Object} formatted - Output of `formatChangeEvent()`.
+ * @returns {{id: string, formatted: Object, change: Object, yaml: string|null}} The event entry.
+ */
+function createEventEntry(change, formatted) {
+  return {
+    id: change._id && change._id._data ? change._id._data : `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    formatted,
+    change,
+    yaml: null
+  };
+}
+
+/**
+ * Builds the `change` message for an event entry in the given Extended JSON mode.
+ * @param {Object} entry - Output of `createEventEntry()`.
+ * @param {string} mode - `relaxed` or `canonical`.
+ * @returns {Object} The message.
+ */
+function buildChangeMessage(entry, mode) {
+  const { formatted } = entry;
+  const payload = changePayload(formatted);
+
+  // YAML does not depend on the mode; render it once per event
+  if (entry.yaml === null) {
+    entry.yaml = toYaml(payload);
+  }
+
+  return {
+    type: 'change',
+    id: entry.id,
+    operation: formatted.operation,
+    namespace: formatted.namespace,
+    timestamp: formatted.timestamp,
+    redacted: formatted.redacted || null,
+    yaml: entry.yaml,
+    json: toExtendedJson(payload, mode),
+    raw: toExtendedJson(formatted, mode),
+    ejson: mode
+  };
+}
+
+/**
+ * Sends an event entry to each subscribed pane in its client's preferred Extended JSON mode.
+ * Each mode is serialized at most once per event.
+ * @param {Object} entry - Output of `createEventEntry()`.
+ * @param {Set<Object>} subscribers - Panes to send to (see `sessions`).
+ */
+function broadcastChange(entry, subscribers) {
+  const messages = {};
+
+  subscribers.forEach(({ ws, pane }) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    const session = sessions.get(ws);
+    const mode = session ? session.ejsonMode : DEFAULT_EJSON_MODE;
+    if (!messages[mode]) {
+      messages[mode] = JSON.stringify(buildChangeMessage(entry, mode));
+    }
+    // Tag the message with its pane without serializing the event again
+    queueMessage(ws, pane, `{"pane":${JSON.stringify(pane)},${messages[mode].slice(1)}`, true);
+  });
+}
+
+/**
+ * Sends a message to every pane subscribed to a watcher, tagged with the pane.
+ * Goes through the outbox, so it stays in order with the pane's events.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @param {Object} data - The payload to send.
+ */
+function notifySubscribers(watcher, data) {
+  watcher.subscribers.forEach(({ ws, pane }) => {
+    queueMessage(ws, pane, JSON.stringify({ pane, ...data }));
+  });
+}
+
+// ==========================================
+// Batching & Backpressure
+// ==========================================
+
+/** How often a client over its buffer limit is checked for having caught up (ms) */
+const CLIENT_DRAIN_CHECK_MS = 250;
+
+/**
+ * Creates the empty outbox of a client session.
+ * @returns {{messages: string[], bytes: number, skipped: Map<string, Object>, overflowed: number, timer: Object|null}}
+ */
+function createOutbox() {
+  return { messages: [], bytes: 0, skipped: new Map(), overflowed: 0, timer: null };
+}
+
+/**
+ * Queues a serialized message for a client; queued messages go out together as one `batch` frame
+ * every BATCH_INTERVAL_MS. While more than CLIENT_BUFFER_LIMIT_KB is waiting for the client (in its
+ * socket or its outbox), change events are skipped according to CLIENT_OVERFLOW_POLICY and counted
+ * per pane, so the client can be told what it missed.
+ * @param {WebSocket} ws - The client socket.
+ * @param {string} pane - Pane the message belongs to.
+ * @param {string} message - Serialized message.
+ * @param {boolean} [skippable=false] - Whether this is a change event that may be skipped.
+ */
+function queueMessage(ws, pane, message, skippable = false) {
+  const session = sessions.get(ws);
+  if (!session || ws.readyState !== WebSocket.OPEN) return;
+  const { outbox } = session;
+
+  if (skippable && ws.bufferedAmount + outbox.bytes > CLIENT_BUFFER_LIMIT_KB * 1024) {
+    outbox.overflowed++;
+    if (CLIENT_OVERFLOW_POLICY === 'drop' || outbox.overflowed % CLIENT_SAMPLE_EVERY !== 0) {
+      const now = new Date().toISOString();
+      const skipped = outbox.skipped.get(pane) || { count: 0, from: now };
+      skipped.count++;
+      skipped.until = now;
+      outbox.skipped.set(pane, skipped);
+      metrics.skippedEvents++;
+      scheduleFlush(ws, outbox);
+      return;
+    }
+  }
+
+  outbox.messages.push(message);
+  outbox.bytes += message.length;
+  scheduleFlush(ws, outbox);
+}
+
+/**
+ * Makes sure a client's outbox is flushed at the end of the current batch interval.
+ * @param {WebSocket} ws - The client socket.
+ * @param {Object} outbox - The client's outbox.
+ */
+function scheduleFlush(ws, outbox) {
+  if (!outbox.timer) {
+    outbox.timer = setTimeout(() => flushOutbox(ws), BATCH_INTERVAL_MS);
+  }
+}
+
+/**
+ * Sends a client's queued messages: a single message as is, several as one `batch` frame.
+ * Skipped events are reported after them with a `skipped` message per pane once the client has caught up;
+ * until then the outbox checks back every CLIENT_DRAIN_CHECK_MS.
+ * @param {WebSocket} ws - The client socket.
+ */
+function flushOutbox(ws) {
+  const session = sessions.get(ws);
+  if (!session) return;
+  const { outbox } = session;
+
+  clearTimeout(outbox.timer);
+  outbox.timer = null;
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  const messages = outbox.messages;
+  outbox.messages = [];
+  outbox.bytes = 0;
+
+  if (outbox.skipped.size > 0) {
+    if (ws.bufferedAmount <= CLIENT_BUFFER_LIMIT_KB * 1024) {
+      outbox.skipped.forEach(({ count, from, until }, pane) => {
+        messages.push(JSON.stringify({ type: 'skipped', pane, count, from, until }));
+      });
+      outbox.skipped.clear();
+      outbox.overflowed = 0;
+    } else {
+      outbox.timer = setTimeout(() => flushOutbox(ws), CLIENT_DRAIN_CHECK_MS);
+    }
+  }
+
+  if (messages.length === 1) {
+    ws.send(messages[0]);
+  } else if (messages.length > 1) {
+    ws.send(`{"type":"batch","messages":[${messages.join(',')}]}`);
+  }
+}
+
+// ==========================================
+// Redaction
+// ==========================================
+
+/** How a redacted value is replaced: dropped, replaced by a keyed hash, or masked keeping its last characters */
+const REDACTION_MODES = ['remove', 'hash', 'mask'];
+
+/** Output of `hash` redaction, recognized so already redacted values are left alone */
+const REDACTION_HASH_PATTERN = /^\[hash:[0-9a-f]{16}\]$/;
+
+/**
+ * Reads redaction rules from REDACTION_RULES_FILE.
+ *
+ * Each rule has a `mode` (`remove`, `hash` or `mask`) and selects fields by
+ * `fields` (dotted paths, array indexes omitted) and/or `keys` (case-insensitive regex on key names),
+ * optionally limited to `namespace` patterns (`db.coll`, `db.*`). `mask` keeps the last `keep` characters (default 4).
+ *
+ * @throws {Error} If the file cannot be read or contains invalid rules; the server refuses to start.
+ */
+function loadRedactionRules() {
+  if (!REDACTION_RULES_FILE) return;
+
+  const config = yaml.load(fs.readFileSync(REDACTION_RULES_FILE, 'utf8')) || {};
+
+  (config.rules || []).forEach((rule, i) => {
+    const where = `Redaction rule ${i + 1}`;
+    if (!REDACTION_MODES.includes(rule.mode)) {
+      throw new Error(`${where}: mode must be ${REDACTION_MODES.join(', ')}`);
+    }
+    if (rule.fields === undefined && rule.keys === undefined) {
+      throw new Error(`${where}: needs fields or keys`);
+    }
+
+    let keys = null;
+    if (rule.keys !== undefined) {
+      try {
+        keys = new RegExp(rule.keys, 'i');
+      } catch (err) {
+        throw new Error(`${where}: invalid keys pattern: ${err.message}`);
+      }
+    }
+
+    redactionRules.push({
+      namespaces: rule.namespace === undefined ? ['*.*'] : [].concat(rule.namespace),
+      fields: rule.fields === undefined ? [] : [].concat(rule.fields).map(fieldPathOf),
+      keys,
+      mode: rule.mode,
+      keep: Number.isInteger(rule.keep) && rule.keep >= 0 ? rule.keep : 4
+    });
+  });
+
+  console.log(`Loaded ${redactionRules.length} redaction rule(s)`);
+}
+
+/**
+ * Drops array indexes from a dotted path (`items.0.card` -> `items.card`), the form rules are written in.
+ * @param {string} path - Dotted path.
+ * @returns {string} Path without numeric segments.
+ */
+function fieldPathOf(path) {
+  return String(path).split('.').filter(part => !/^\d+$/.test(part)).join('.');
+}
+
+/**
+ * Finds the first rule that redacts a field.
+ * @param {Object[]} rules - Candidate rules.
+ * @param {string} path - Dotted path of the field.
+ * @returns {Object|undefined} The matching rule.
+ */
+function findRedactionRule(rules, path) {
+  const fieldPath = fieldPathOf(path);
+  const key = path.split('.').pop();
+  return rules.find(rule => rule.fields.includes(fieldPath) || (rule.keys && rule.keys.test(key)));
+}
+
+/**
+ * Computes the replacement for a redacted value (`hash` and `mask` modes).
+ * @param {*} value - Original value.
+ * @param {Object} rule - The matching rule.
+ * @returns {string} Replacement value.
+ */
+function redactValue(value, rule) {
+  if (rule.mode === 'hash') {
+    if (typeof value === 'string' && REDACTION_HASH_PATTERN.test(value)) return value;
+    const text = BSON.EJSON.stringify(value, { relaxed: false });
+    return `[hash:${crypto.createHmac('sha256', REDACTION_HASH_KEY).update(text).digest('hex').slice(0, 16)}]`;
+  }
+
+  // Only strings long enough to stay unguessable keep a visible tail
+  const text = typeof value === 'string' ? value : '';
+  const kept = text.length >= rule.keep * 2 ? text.slice(text.length - rule.keep) : '';
+  return '*'.repeat(Math.max(text.length - kept.length, 4)) + kept;
+}
+
+/**
+ * Redacts matching fields of a document in place, descending into subdocuments and arrays.
+ * Keys containing dots (as in `updatedFields`) are treated as paths.
+ * @param {*} value - Document or fragment.
+ * @param {Object[]} rules - Rules that apply to the event's namespace.
+ * @param {string} prefix - Path of `value`.
+ * @param {Map<string, string>} hits - Collects redacted paths and their mode.
+ */
+function redactTree(value, rules, prefix, hits) {
+  if (!value || typeof value !== 'object' || value._bsontype) return;
+
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => redactTree(item, rules, prefix ? `${prefix}.${i}` : String(i), hits));
+    return;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const rule = findRedactionRule(rules, path);
+    if (!rule) {
+      redactTree(child, rules, path, hits);
+      continue;
+    }
+
+    hits.set(path, rule.mode);
+    if (rule.mode === 'remove') {
+      delete value[key];
+    } else {
+      value[key] = redactValue(child, rule);
+    }
+  }
+}
+
+/**
+ * Applies the redaction rules to a formatted event in place: its document, pre-image, update description and key.
+ * Redacted paths are listed in `formatted.redacted` so the UI can flag them.
+ * Safe to run again on an event that was already redacted.
+ * @param {Object} formatted - Output of `formatChangeEvent()`.
+ */
+function redactEvent(formatted) {
+  const rules = redactionRules.filter(rule => rule.namespaces.some(ns => namespaceMatches(formatted.namespace, ns)));
+  if (rules.length === 0) return;
+
+  const hits = new Map((formatted.redacted || []).map(({ path, mode }) => [path, mode]));
+  redactTree(formatted.documentKey, rules, '', hits);
+  redactTree(formatted.document, rules, '', hits);
+  redactTree(formatted.before, rules, '', hits);
+  if (formatted.updates) {
+    redactTree(formatted.updates.updatedFields, rules, '', hits);
+  }
+
+  if (hits.size > 0) {
+    formatted.redacted = [...hits].map(([path, mode]) => ({ path, mode }));
+  }
+}
+
+/**
+ * Whether a filter may not reference a field path because redaction rules cover it.
+ * Filters run inside MongoDB on unredacted data, so matching on a redacted field would reveal its value.
+ * Rules of every namespace are considered, since filters are not tied to one.
+ * @param {string} path - Dotted field path from a filter.
+ * @returns {boolean} Whether the path overlaps a redacted field.
+ */
+function isRedactedPath(path) {
+  const fieldPath = fieldPathOf(path);
+  return redactionRules.some(rule =>
+    rule.fields.some(field => field === fieldPath || field.startsWith(`${fieldPath}.`) || fieldPath.startsWith(`${field}.`)) ||
+    (rule.keys && fieldPath.split('.').some(part => rule.keys.test(part)))
+  );
+}
+
+// ==========================================
+// Resume Tokens
+// ==========================================
+
+/**
+ * Returns the collection backing the `mongodb` resume token store.
+ * @returns {Collection} The MongoDB collection.
+ */
+function resumeTokenCollection() {
+  const [dbName, ...collParts] = RESUME_TOKEN_COLLECTION.split('.');
+  return mongoClient.db(dbName).collection(collParts.join('.'));
+}
+
+/**
+ * Loads persisted resume tokens from the configured store.
+ * Missing or unreadable stores simply start empty.
+ */
+async function loadResumeTokens() {
+  resumeTokens.clear();
+  deletedResumeTokens.clear();
+
+  try {
+    if (RESUME_TOKEN_STORE === 'file') {
+      if (!fs.existsSync(RESUME_TOKEN_FILE)) return;
+      const stored = JSON.parse(await fs.promises.readFile(RESUME_TOKEN_FILE, 'utf8'));
+      for (const [key, entry] of Object.entries(stored)) {
+        resumeTokens.set(key, entry);
+      }
+    } else if (RESUME_TOKEN_STORE === 'mongodb') {
+      const docs = await resumeTokenCollection().find({}).toArray();
+      docs.forEach(doc => resumeTokens.set(doc._id, { token: doc.token, savedAt: doc.savedAt }));
+    }
+    if (resumeTokens.size > 0) {
+      console.log(`Loaded ${resumeTokens.size} resume token(s) from ${RESUME_TOKEN_STORE} store`);
+    }
+  } catch (err) {
+    console.error('Failed to load resume tokens:', err.message);
+  }
+}
+
+/**
+ * Writes pending resume token changes to the configured store.
+ */
+async function flushResumeTokens() {
+  clearTimeout(resumeTokenFlushTimer);
+  resumeTokenFlushTimer = null;
+
+  try {
+    if (RESUME_TOKEN_STORE === 'file') {
+      await fs.promises.mkdir(path.dirname(RESUME_TOKEN_FILE), { recursive: true });
+      await fs.promises.writeFile(RESUME_TOKEN_FILE, JSON.stringify(Object.fromEntries(resumeTokens), null, 2));
+    } else if (RESUME_TOKEN_STORE === 'mongodb' && mongoConnected) {
+      const ops = [];
+      resumeTokens.forEach((entry, key) => {
+        ops.push({ replaceOne: { filter: { _id: key }, replacement: entry, upsert: true } });
+      });
+      deletedResumeTokens.forEach(key => {
+        ops.push({ deleteOne: { filter: { _id: key } } });
+      });
+      deletedResumeTokens.clear();
+      if (ops.length > 0) await resumeTokenCollection().bulkWrite(ops, { ordered: false });
+    }
+  } catch (err) {
+    console.error('Failed to persist resume tokens:', err.message);
+  }
+}
+
+/**
+ * Schedules a background flush so busy streams don't write on every event.
+ */
+function scheduleResumeTokenFlush() {
+  if (RESUME_TOKEN_STORE === 'none' || resumeTokenFlushTimer) return;
+  resumeTokenFlushTimer = setTimeout(flushResumeTokens, 1000);
+}
+
+/**
+ * Records the latest resume token for a watch target.
+ * @param {string} key - Watch key.
+ * @param {Object} token - Resume token (`change._id`).
+ */
+function saveResumeToken(key, token) {
+  resumeTokens.set(key, { token, savedAt: new Date().toISOString() });
+  deletedResumeTokens.delete(key);
+  scheduleResumeTokenFlush();
+}
+
+/**
+ * Forgets the resume token for a watch target.
+ * @param {string} key - Watch key.
+ */
+function deleteResumeToken(key) {
+  if (!resumeTokens.delete(key)) return;
+  deletedResumeTokens.add(key);
+  scheduleResumeTokenFlush();
+}
+
+/**
+ * Whether a change stream error means the resume point is gone from the oplog.
+ * @param {Error} err - Error emitted by the change stream.
+ * @returns {boolean}
+ */
+function isHistoryLost(err) {
+  return err.code === 286 // ChangeStreamHistoryLost
+    || err.code === 136 // CappedPositionLost
+    || /resume (point|token).*(no longer|not) .*(in the oplog|found)/i.test(err.message || '');
+}
+
+// ==========================================
+// Event Buffer
+// ==========================================
+
+/**
+ * Whether a namespace falls under a watch description (`db.coll`, `db.*`, `*.*` or a watch list `/regex/`).
+ * @param {string} namespace - Event namespace (`db.coll`).
+ * @param {string} description - Watch description.
+ * @returns {boolean}
+ */
+function namespaceMatches(namespace, description) {
+  if (description === '*.*') return true;
+  const regex = parseNamespaceRegex(description);
+  if (regex) return regex.test(namespace);
+  if (description.endsWith('.*')) {
+    return namespace.startsWith(description.slice(0, -1));
+  }
+  return namespace === description;
+}
+
+/**
+ * Adds an event to its namespace's ring buffer, dropping the oldest entry when full.
+ * @param {Object} entry - Output of `createEventEntry()`.
+ */
+function bufferEvent(entry) {
+  if (EVENT_BUFFER_SIZE <= 0 || bufferedEventIds.has(entry.id)) return;
+
+  const namespace = entry.formatted.namespace;
+  let buffer = eventBuffers.get(namespace);
+  if (!buffer) {
+    buffer = [];
+    eventBuffers.set(namespace, buffer);
+  }
+
+  buffer.push(entry);
+  bufferedEventIds.add(entry.id);
+  while (buffer.length > EVENT_BUFFER_SIZE) {
+    bufferedEventIds.delete(buffer.shift().id);
+  }
+
+  scheduleEventBufferFlush();
+}
+
+/**
+ * Returns buffered events in chronological order.
+ * @param {Object} [query]
+ * @param {string|string[]} [query.namespace] - Watch description(s) to match (`db.coll`, `db.*`, `*.*`, `/regex/`),
+ *   already validated (see `parseEventQuery()`).
+ * @param {string[]} [query.operations] - Operations to keep (e.g. `['INSERT', 'DELETE']`).
+ * @param {Date} [query.since] - Only events received after this time.
+ * @param {Set<string>} [query.ids] - Only these events.
+ * @returns {Object[]} Matching event entries.
+ */
+function queryEvents({ namespace, operations, since, ids } = {}) {
+  let events = [];
+  // Regex entries are compiled once, not once per namespace
+  const matchers = namespace
+    ? [].concat(namespace).map(description => {
+      const regex = parseNamespaceRegex(description);
+      return regex ? ns => regex.test(ns) : ns => namespaceMatches(ns, description);
+    })
+    : null;
+  eventBuffers.forEach((buffer, ns) => {
+    if (!matchers || matchers.some(matches => matches(ns))) {
+      events.push(...buffer);
+    }
+  });
+
+  if (operations && operations.length > 0) {
+    events = events.filter(e => operations.includes(e.formatted.operation));
+  }
+  if (since) {
+    events = events.filter(e => new Date(e.formatted.timestamp) > since);
+  }
+  if (ids) {
+    events = events.filter(e => ids.has(e.id));
+  }
+
+  // Buffers are per namespace; merge them back into one timeline
+  return events.sort((a, b) => a.formatted.timestamp.localeCompare(b.formatted.timestamp));
+}
+
+/**
+ * Turns Int32, Double and safe-range Long values from a canonical Extended JSON parse
+ * back into plain numbers, matching what the driver hands us for live events.
+ * @param {*} value - Parsed value.
+ * @returns {*} The value with numbers promoted.
+ */
+function promoteNumbers(value) {
+  if (value instanceof BSON.Int32 || value instanceof BSON.Double) {
+    return value.valueOf();
+  }
+  if (value instanceof BSON.Long && !(value instanceof BSON.Timestamp)) {
+    const n = value.toNumber();
+    return Number.isSafeInteger(n) ? n : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(promoteNumbers);
+  }
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    for (const key of Object.keys(value)) {
+      value[key] = promoteNumbers(value[key]);
+    }
+  }
+  return value;
+}
+
+/**
+ * Parses the `namespace`, `op` and `since` query parameters shared by the history and export endpoints.
+ * Like a watch list, a `/regex/` namespace could match anything, so it needs access to every namespace.
+ * @param {Object} params - Express `req.query`.
+ * @param {Object|null} principal - The caller.
+ * @returns {Object} Query for `queryEvents()`.
+ * @throws {Error} If `since` is not a valid date, or a namespace is not a string, an invalid regex or a regex the caller may not use.
+ */
+function parseEventQuery({ namespace, op, since }, principal) {
+  const namespaces = namespace === undefined || namespace === '' ? [] : [].concat(namespace);
+  namespaces.forEach(entry => {
+    if (typeof entry !== 'string') {
+      throw new Error('namespace must be a string');
+    }
+    if (parseNamespaceRegex(entry) && !namespaceAllowed(principal, entry)) {
+      throw new Error(`Not allowed to query ${entry}: a namespace regex needs access to every namespace`);
+    }
+  });
+
+  let sinceDate;
+  if (since) {
+    sinceDate = new Date(/^\d+$/.test(since) ? parseInt(since, 10) : since);
+    if (isNaN(sinceDate.getTime())) {
+      throw new Error(`Invalid since: ${since}`);
+    }
+  }
+
+  return {
+    namespace: namespaces.length > 0 ? namespaces : undefined,
+    operations: op ? op.split(',').map(o => o.trim().toUpperCase()).filter(Boolean) : null,
+    since: sinceDate
+  };
+}
+
+/**
+ * Loads the event buffer from EVENT_BUFFER_FILE, if configured.
+ */
+async function loadEventBuffer() {
+  if (!EVENT_BUFFER_FILE || EVENT_BUFFER_SIZE <= 0 || !fs.existsSync(EVENT_BUFFER_FILE)) return;
+
+  try {
+    // Stored as canonical Extended JSON so BSON types come back intact
+    const stored = promoteNumbers(BSON.EJSON.parse(await fs.promises.readFile(EVENT_BUFFER_FILE, 'utf8'), { relaxed: false }));
+    let count = 0;
+    for (const entries of Object.values(stored)) {
+      entries.forEach(({ id, formatted, change, namespace, timestamp, redacted }) => {
+        if (change) {
+          // Formatting again links the documents of both forms and applies rules added since the events were saved
+          formatted = { ...formatChangeEvent(change), namespace, timestamp };
+          const hits = (formatted.redacted || []).filter(hit => !(redacted || []).some(({ path }) => path === hit.path));
+          if (redacted || hits.length > 0) formatted.redacted = (redacted || []).concat(hits);
+        } else {
+          redactEvent(formatted);
+        }
+        bufferEvent({ id, formatted, change: change || null, yaml: null });
+        count++;
+      });
+    }
+    console.log(`Loaded ${count} buffered event(s) from ${EVENT_BUFFER_FILE}`);
+  } catch (err) {
+    console.error('Failed to load event buffer:', err.message);
+  }
+}
+
+/**
+ * Writes the event buffer to EVENT_BUFFER_FILE.
+ */
+async function flushEventBuffer() {
+  clearTimeout(eventBufferFlushTimer);
+  eventBufferFlushTimer = null;
+
+  try {
+    const stored = {};
+    // The formatted event is rebuilt from the raw one on load (see `loadEventBuffer()`)
+    eventBuffers.forEach((buffer, namespace) => {
+      stored[namespace] = buffer.map(({ id, formatted, change }) => (change
+        ? { id, change, namespace: formatted.namespace, timestamp: formatted.timestamp, redacted: formatted.redacted || null }
+        : { id, formatted }));
+    });
+    await fs.promises.mkdir(path.dirname(EVENT_BUFFER_FILE), { recursive: true });
+    await fs.promises.writeFile(EVENT_BUFFER_FILE, BSON.EJSON.stringify(stored, { relaxed: false }));
+  } catch (err) {
+    console.error('Failed to persist event buffer:', err.message);
+  }
+}
+
+/**
+ * Schedules a background write of the event buffer when it is file-backed.
+ */
+function scheduleEventBufferFlush() {
+  if (!EVENT_BUFFER_FILE || eventBufferFlushTimer) return;
+  eventBufferFlushTimer = setTimeout(flushEventBuffer, 2000);
+}
+
+/**
+ * Sends recent buffered events for a pane's watch target, so a fresh tab isn't empty.
+ * Skipped for filters with `match` or `fields`, which the buffer can't apply faithfully.
+ * @param {Object} subscription - The pane (see `sessions`), already attached to its watcher.
+ */
+function replayBacklog(subscription) {
+  const { ws, pane, watcher } = subscription;
+  if (EVENT_REPLAY_LIMIT <= 0 || ws.readyState !== WebSocket.OPEN) return;
+
+  const { filter } = watcher;
+  if (filter && (filter.match || filter.fields)) return;
+
+  const operations = filter && filter.operationTypes
+    ? filter.operationTypes.map(operationLabel)
+    : null;
+  const events = queryEvents({ namespace: watcher.namespaces || watcher.description, operations }).slice(-EVENT_REPLAY_LIMIT);
+  if (events.length === 0) return;
+
+  const session = sessions.get(ws);
+  const mode = session ? session.ejsonMode : DEFAULT_EJSON_MODE;
+  ws.send(JSON.stringify({
+    type: 'backlog',
+    pane,
+    watching: watcher.description,
+    events: events.map(entry => buildChangeMessage(entry, mode))
+  }));
+}
+
+// ==========================================
+// Export
+// ==========================================
+
+/**
+ * Reduces an Extended JSON wrapper to a plain value for CSV cells.
+ * @param {Object} value - Wrapper such as `{"$oid": "..."}`.
+ * @returns {string} The scalar text.
+ */
+function ejsonScalar(value) {
+  const [key] = Object.keys(value);
+  const wrapped = value[key];
+  switch (key) {
+    case '$oid':
+    case '$numberDecimal':
+    case '$numberLong':
+    case '$numberInt':
+    case '$numberDouble':
+    case '$symbol':
+      return wrapped;
+    case '$date':
+      return typeof wrapped === 'string' ? wrapped : new Date(Number(wrapped.$numberLong)).toISOString();
+    default:
+      return JSON.stringify(value);
+  }
+}
+
+/**
+ * Flattens an Extended JSON document into dotted paths for CSV export.
+ * Arrays are kept as JSON text in a single column.
+ * @param {*} value - Extended JSON value.
+ * @param {string} [prefix] - Path of the value.
+ * @param {Object} [out] - Accumulator.
+ * @returns {Object} Map of dotted path to cell value.
+ */
+function flattenExtendedJson(value, prefix = '', out = {}) {
+  const isWrapper = value && typeof value === 'object' && !Array.isArray(value)
+    && Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith('$'));
+
+  if (isWrapper) {
+    out[prefix] = ejsonScalar(value);
+  } else if (Array.isArray(value)) {
+    out[prefix] = JSON.stringify(value);
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flattenExtendedJson(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Quotes a value for CSV when it contains separators, quotes or newlines.
+ * @param {*} value - Cell value.
+ * @returns {string} The CSV cell.
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders event entries in one of the export formats.
+ * - `ndjson`: one raw change stream event per line (canonical Extended JSON)
+ * - `csv`: one row per event, with the payload flattened into dotted columns
+ * - `mongoimport`: the latest version of each document, one per line, ready for `mongoimport`
+ * @param {Object[]} entries - Event entries, oldest first.
+ * @param {string} format - `ndjson`, `csv` or `mongoimport`.
+ * @param {string[]} [columns] - CSV columns to include (default: all).
+ * @returns {{content: string, contentType: string, extension: string}} The export file.
+ */
+function exportEvents(entries, format, columns) {
+  if (format === 'ndjson') {
+    return {
+      content: entries.map(e => `${BSON.EJSON.stringify(e.change || e.formatted, { relaxed: false })}\n`).join(''),
+      contentType: 'application/x-ndjson',
+      extension: 'ndjson'
+    };
+  }
+
+  if (format === 'mongoimport') {
+    // Later events win; a delete removes the document from the export
+    const latest = new Map();
+    entries.forEach(({ formatted }) => {
+      const key = `${formatted.namespace} ${BSON.EJSON.stringify(formatted.documentKey, { relaxed: false })}`;
+      if (formatted.operation === 'DELETE') {
+        latest.delete(key);
+      } else if (formatted.document) {
+        latest.delete(key);
+        latest.set(key, formatted.document);
+      }
+    });
+    return {
+      content: [...latest.values()].map(doc => `${BSON.EJSON.stringify(doc, { relaxed: false })}\n`).join(''),
+      contentType: 'application/x-ndjson',
+      extension: 'json'
+    };
+  }
+
+  if (format === 'csv') {
+    const rows = entries.map(({ formatted }) => ({
+      timestamp: formatted.timestamp,
+      operation: formatted.operation,
+      namespace: formatted.namespace,
+      ...flattenExtendedJson(toExtendedJson(changePayload(formatted), 'relaxed'))
+    }));
+
+    let header = columns && columns.length > 0 ? columns : null;
+    if (!header) {
+      const seen = new Set();
+      rows.forEach(row => Object.keys(row).forEach(k => seen.add(k)));
+      header = [...seen];
+    }
+
+    const lines = [header.map(csvCell).join(',')];
+    rows.forEach(row => lines.push(header.map(col => csvCell(row[col])).join(',')));
+    return {
+      content: lines.join('\r\n') + '\r\n',
+      contentType: 'text/csv',
+      extension: 'csv'
+    };
+  }
+
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+// ==========================================
+// Webhooks
+// ==========================================
+
+/**
+ * Reads webhook sinks from WEBHOOKS_FILE.
+ *
+ * Each sink has a `url` and optionally a `name`, `namespace` patterns (default `*.*`),
+ * `operations` (e.g. `[insert, update]`), extra `headers`, a body `template` and its `contentType`.
+ *
+ * @throws {Error} If the file cannot be read or contains invalid sinks; the server refuses to start.
+ */
+function loadWebhooks() {
+  if (!WEBHOOKS_FILE) return;
+
+  const config = yaml.load(fs.readFileSync(WEBHOOKS_FILE, 'utf8')) || {};
+
+  (config.sinks || []).forEach((sink, i) => {
+    const name = String(sink.name || `sink-${i + 1}`);
+    if (webhookSinks.some(other => other.name === name)) {
+      throw new Error(`Webhook "${name}" is defined twice`);
+    }
+
+    let url;
+    try {
+      url = new URL(sink.url);
+    } catch (err) {
+      throw new Error(`Webhook "${name}": invalid url`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Webhook "${name}": url must be http or https`);
+    }
+
+    const operations = sink.operations === undefined ? null : [].concat(sink.operations);
+    const invalid = (operations || []).filter(op => !FILTERABLE_OPERATION_TYPES.includes(op));
+    if (invalid.length > 0) {
+      throw new Error(`Webhook "${name}": unknown operation ${invalid.join(', ')}`);
+    }
+
+    // fetch() refuses URLs with credentials; send them as Basic auth instead
+    const headers = { ...(sink.headers || {}) };
+    if (url.username || url.password) {
+      const credentials = `${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`;
+      headers.Authorization = headers.Authorization || `Basic ${Buffer.from(credentials).toString('base64')}`;
+      url.username = '';
+      url.password = '';
+    }
+
+    const namespaces = sink.namespace === undefined ? ['*.*'] : [].concat(sink.namespace);
+    if (!namespaces.every(isNamespacePattern)) {
+      throw new Error(`Webhook "${name}": namespace must be db.coll, db.* or *.* patterns`);
+    }
+    if (sink.template !== undefined && typeof sink.template !== 'string') {
+      throw new Error(`Webhook "${name}": template must be a string`);
+    }
+
+    webhookSinks.push({
+      name,
+      url: url.href,
+      // A pattern already covered by a broader one would deliver the same event twice
+      namespaces: namespaces.filter(ns => !namespaces.some(other => other !== ns && namespaceMatches(ns, other))),
+      operations: operations && operations.map(operationLabel),
+      headers,
+      template: sink.template || null,
+      contentType: sink.contentType || 'application/json',
+      queue: [],
+      sending: false,
+      status: 'idle',
+      delivered: 0,
+      failed: 0,
+      retries: 0,
+      lastError: null,
+      lastAttemptAt: null,
+      lastDeliveredAt: null
+    });
+  });
+
+  console.log(`Loaded ${webhookSinks.length} webhook sink(s)`);
+}
+
+/**
+ * Attaches every sink to the unfiltered watchers of its namespaces, starting them where needed.
+ * Called whenever MongoDB is connected; sinks that are already attached are left as they are.
+ */
+function attachWebhookSinks() {
+  for (const sink of webhookSinks) {
+    for (const pattern of sink.namespaces) {
+      const [database, ...rest] = pattern.split('.');
+      const collection = rest.join('.');
+      const { watcher, isNew } = acquireWatcher(resolveTarget(database === '*' ? '' : database, collection), null);
+      // A reconnect attaches again; a sink already on the watcher would deliver every event twice
+      if (!watcher.sinks.includes(sink)) watcher.sinks.push(sink);
+      if (isNew) {
+        startWatching(watcher);
+      }
+    }
+  }
+}
+
+/**
+ * Public view of a sink's delivery status (URL credentials and query string left out).
+ * @param {Object} sink - Entry from `webhookSinks`.
+ * @returns {Object} Status summary.
+ */
+function webhookSummary(sink) {
+  const url = new URL(sink.url);
+  return {
+    name: sink.name,
+    url: `${url.origin}${url.pathname}`,
+    namespaces: sink.namespaces,
+    operations: sink.operations,
+    status: sink.status,
+    pending: sink.queue.length,
+    delivered: sink.delivered,
+    failed: sink.failed,
+    retries: sink.retries,
+    lastError: sink.lastError,
+    lastAttemptAt: sink.lastAttemptAt,
+    lastDeliveredAt: sink.lastDeliveredAt
+  };
+}
+
+/**
+ * Clients allowed to see a sink (every namespace it covers is allowed for them).
+ * @param {Object} sink - Entry from `webhookSinks`.
+ * @returns {WebSocket[]} Recipients.
+ */
+function webhookRecipients(sink) {
+  return [...clients].filter(ws => {
+    const session = sessions.get(ws);
+    return session && sink.namespaces.every(ns => namespaceAllowed(session.principal, ns));
+  });
+}
+
+/**
+ * Updates a sink's status and tells clients when it changes.
+ * @param {Object} sink - Entry from `webhookSinks`.
+ * @param {string} status - `ok`, `retrying` or `failing`.
+ */
+function setWebhookStatus(sink, status) {
+  if (sink.status === status) return;
+  sink.status = status;
+  broadcast({ type: 'webhookStatus', sink: webhookSummary(sink) }, webhookRecipients(sink));
+}
+
+/**
+ * Builds the request body for an event.
+ * Without a template the body is the event as relaxed Extended JSON plus its `id`.
+ * In a template, `{{path}}` (e.g. `{{operation}}`, `{{document.status}}`) is replaced by that value as JSON.
+ * @param {Object} sink - Entry from `webhookSinks`.
+ * @param {Object} entry - Event entry (see `createEventEntry()`).
+ * @returns {string} Request body.
+ */
+function renderWebhookBody(sink, entry) {
+  const event = { id: entry.id, ...toExtendedJson(entry.formatted, 'relaxed') };
+  if (!sink.template) {
+    return JSON.stringify(event);
+  }
+  return sink.template.replace(/\{\{\s*([\w.$]+)\s*\}\}/g, (match, fieldPath) => {
+    const value = fieldPath.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), event);
+    return value === undefined ? 'null' : JSON.stringify(value);
+  });
+}
+
+/**
+ * Queues an event for a sink if it matches the sink's operations.
+ * @param {Object} sink - Entry from `webhookSinks`.
+ * @param {Object} entry - Event entry (see `createEventEntry()`).
+ */
+function enqueueWebhook(sink, entry) {
+  if (sink.operations && !sink.operations.includes(entry.formatted.operation)) return;
+
+  if (sink.queue.length >= WEBHOOK_QUEUE_LIMIT) {
+    sink.failed++;
+    writeDeadLetter(sink, entry, 0, 'Queue full');
+    return;
+  }
+
+  sink.queue.push({ entry, attempts: 0 });
+  drainWebhookQueue(sink);
+}
+
+/**
+ * POSTs one event to a sink.
+ * @param {Object} sink - Entry from `webhookSinks`.
+ * @param {Object} entry - Event entry.
+ * @returns {Promise<{message: string, retryable: boolean}|null>} The failure, or null when delivered.
+ */
+async function postWebhook(sink, entry) {
+  try {
+    const response = await fetch(sink.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': sink.contentType,
+        'User-Agent': 'mongo-tv',
+        'X-Mongo-TV-Event': entry.id,
+        ...sink.headers
+      },
+      body: renderWebhookBody(sink, entry),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    await response.body?.cancel();
+    if (response.ok) return null;
+
+    // Client errors other than timeouts and rate limits will not go away by retrying
+    const retryable = response.status >= 500 || [408, 429].includes(response.status);
+    return { message: `HTTP ${response.status}`, retryable };
+  } catch (err) {
+    const message = err.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : (err.cause?.message || err.message);
+    return { message, retryable: true };
+  }
+}
+
+/**
+ * Delivers a sink's queued events in order, one at a time.
+ * Failed deliveries are retried with exponential backoff (blocking the queue, to keep events in order)
+ * and dead-lettered after WEBHOOK_MAX_ATTEMPTS or on a non-retryable response.
+ * @param {Object} sink - Entry from `webhookSinks`.
+ */
+async function drainWebhookQueue(sink) {
+  if (sink.sending) return;
+  sink.sending = true;
+
+  while (sink.queue.length > 0) {
+    const item = sink.queue[0];
+    item.attempts++;
+    sink.lastAttemptAt = new Date().toISOString();
+
+    const failure = await postWebhook(sink, item.entry);
+    if (!failure) {
+      sink.queue.shift();
+      sink.delivered++;
+      sink.lastError = null;
+      sink.lastDeliveredAt = sink.lastAttemptAt;
+      setWebhookStatus(sink, 'ok');
+      continue;
+    }
+
+    sink.lastError = failure.message;
+    if (failure.retryable && item.attempts < WEBHOOK_MAX_ATTEMPTS) {
+      sink.retries++;
+      setWebhookStatus(sink, 'retrying');
+      const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (item.attempts - 1), 5 * 60 * 1000);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      continue;
+    }
+
+    sink.queue.shift();
+    sink.failed++;
+    console.error(`Webhook "${sink.name}" gave up on event ${item.entry.id} after ${item.attempts} attempt(s): ${failure.message}`);
+    broadcast({
+      type: 'error',
+      message: `Webhook "${sink.name}" could not deliver ${item.entry.formatted.operation} on ${item.entry.formatted.namespace}: ${failure.message}`
+    }, webhookRecipients(sink));
+    setWebhookStatus(sink, 'failing');
+    await writeDeadLetter(sink, item.entry, item.attempts, failure.message);
+  }
+
+  sink.sending = false;
+}
+
+/**
+ * Appends an undeliverable event to the dead-letter file (canonical Extended JSON, one per line).
+ * @param {Object} sink - Entry from `webhookSinks`.
+ * @param {Object} entry - Event entry.
+ * @param {number} attempts - Delivery attempts made.
+ * @param {string} error - Why delivery failed.
+ */
+async function writeDeadLetter(sink, entry, attempts, error) {
+  const line = JSON.stringify({
+    sink: sink.name,
+    failedAt: new Date().toISOString(),
+    attempts,
+    error,
+    id: entry.id,
+    event: toExtendedJson(entry.formatted, 'canonical')
+  });
+
+  try {
+    await fs.promises.mkdir(path.dirname(WEBHOOK_DEAD_LETTER_FILE), { recursive: true });
+    await fs.promises.appendFile(WEBHOOK_DEAD_LETTER_FILE, `${line}\n`);
+  } catch (err) {
+    console.error('Failed to write webhook dead letter:', err.message);
+  }
+}
+
+/**
+ * Dead-letters everything still queued, so events received before a shutdown are not silently lost.
+ */
+async function deadLetterPendingWebhooks() {
+  for (const sink of webhookSinks) {
+    const pending = sink.queue.splice(0);
+    for (const item of pending) {
+      await writeDeadLetter(sink, item.entry, item.attempts, 'Server shut down before delivery');
+    }
+  }
+}
+
+// ==========================================
+// Metrics
+// ==========================================
+
+/**
+ * Counts a received event for /metrics, once per event id.
+ * @param {Object} entry - Event entry (see `createEventEntry()`).
+ */
+function recordEventMetric(entry) {
+  if (metrics.countedEventIds.has(entry.id)) return;
+  metrics.countedEventIds.add(entry.id);
+  if (metrics.countedEventIds.size > 1000) {
+    metrics.countedEventIds.delete(metrics.countedEventIds.values().next().value);
+  }
+
+  const { namespace, operation } = entry.formatted;
+  const key = `${namespace}\t${operation}`;
+  metrics.events.set(key, (metrics.events.get(key) || 0) + 1);
+  metrics.lastEventAt.set(namespace, Date.now());
+}
+
+/**
+ * Records how long relaying one event to a watcher's subscribers took.
+ * @param {number} seconds - Elapsed time.
+ */
+function observeBroadcastLatency(seconds) {
+  const histogram = metrics.broadcastLatency;
+  histogram.buckets.forEach((bound, i) => {
+    if (seconds <= bound) histogram.counts[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+/**
+ * Adds one to a counter kept per watch target.
+ * @param {Map<string, number>} counter - e.g. `metrics.streamErrors`.
+ * @param {string} target - Watch target description.
+ */
+function incrementTargetCounter(counter, target) {
+  counter.set(target, (counter.get(target) || 0) + 1);
+}
+
+/**
+ * Escapes a Prometheus label value.
+ * @param {string} value - Raw value.
+ * @returns {string} Escaped value.
+ */
+function metricLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders all metrics in the Prometheus text exposition format.
+ * @returns {string} Metrics text.
+ */
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    samples.forEach(([labels, value]) => {
+      const labelText = Object.entries(labels).map(([k, v]) => `${k}="${metricLabel(v)}"`).join(',');
+      lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    });
+  };
+  const now = Date.now();
+
+  metric('mongo_tv_events_total', 'counter', 'Change events received, by namespace and operation.',
+    [...metrics.events].map(([key, count]) => {
+      const [namespace, operation] = key.split('\t');
+      return [{ namespace, operation }, count];
+    }));
+
+  metric('mongo_tv_last_event_timestamp_seconds', 'gauge', 'Unix time of the last change event, by namespace.',
+    [...metrics.lastEventAt].map(([namespace, at]) => [{ namespace }, at / 1000]));
+
+  const lastEventAt = Math.max(metrics.startedAt, ...metrics.lastEventAt.values());
+  metric('mongo_tv_seconds_since_last_event', 'gauge', 'Seconds since the last change event in any namespace (since start if none yet).',
+    [[{}, (now - lastEventAt) / 1000]]);
+
+  const histogram = metrics.broadcastLatency;
+  lines.push('# HELP mongo_tv_broadcast_duration_seconds Time from receiving a change event to queuing it for the subscribed clients (excludes the batch interval).',
+    '# TYPE mongo_tv_broadcast_duration_seconds histogram');
+  histogram.buckets.forEach((bound, i) => lines.push(`mongo_tv_broadcast_duration_seconds_bucket{le="${bound}"} ${histogram.counts[i]}`));
+  lines.push(`mongo_tv_broadcast_duration_seconds_bucket{le="+Inf"} ${histogram.count}`,
+    `mongo_tv_broadcast_duration_seconds_sum ${histogram.sum}`,
+    `mongo_tv_broadcast_duration_seconds_count ${histogram.count}`);
+
+  metric('mongo_tv_websocket_clients', 'gauge', 'Connected WebSocket clients.', [[{}, clients.size]]);
+
+  metric('mongo_tv_events_skipped_total', 'counter', `Change events not sent to clients over their buffer limit (policy: ${CLIENT_OVERFLOW_POLICY}).`,
+    [[{}, metrics.skippedEvents]]);
+
+  metric('mongo_tv_change_streams', 'gauge', 'Open change streams.',
+    [[{}, [...watchers.values()].filter(w => w.stream).length]]);
+
+  metric('mongo_tv_polling_watchers', 'gauge', `Watch targets polled instead of streamed (POLLING_MODE=${POLLING_MODE}).`,
+    [[{}, [...watchers.values()].filter(w => w.poller).length]]);
+
+  metric('mongo_tv_change_stream_errors_total', 'counter', 'Change stream errors, by watch target.',
+    [...metrics.streamErrors].map(([target, count]) => [{ target }, count]));
+
+  metric('mongo_tv_change_stream_restarts_total', 'counter', 'Change streams reopened after an error, by watch target.',
+    [...metrics.streamRestarts].map(([target, count]) => [{ target }, count]));
+
+  metric('mongo_tv_change_stream_invalidations_total', 'counter', 'Change streams ended by a drop or rename of what they watch, by watch target.',
+    [...metrics.streamInvalidations].map(([target, count]) => [{ target }, count]));
+
+  metric('mongo_tv_mongodb_connected', 'gauge', 'Whether MongoDB is connected and a usable server is reachable (1) or not (0).',
+    [[{}, mongoConnected && mongoReachable ? 1 : 0]]);
+
+  if (webhookSinks.length > 0) {
+    metric('mongo_tv_webhook_deliveries_total', 'counter', 'Webhook events delivered or dead-lettered, by sink.',
+      webhookSinks.flatMap(sink => [[{ sink: sink.name, result: 'delivered' }, sink.delivered], [{ sink: sink.name, result: 'failed' }, sink.failed]]));
+    metric('mongo_tv_webhook_pending', 'gauge', 'Webhook events waiting for delivery, by sink.',
+      webhookSinks.map(sink => [{ sink: sink.name }, sink.queue.length]));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// ==========================================
+// Polling
+// ==========================================
+
+/** Most documents a polled collection reports per round and operation; the rest follow in the next rounds */
+const POLL_BATCH_SIZE = 500;
+
+/** Largest collection whose `_id`s are compared for deletes (POLL_DETECT_DELETES) */
+const POLL_DELETE_SCAN_LIMIT = 10000;
+
+/**
+ * Whether watchers poll instead of opening change streams (POLLING_MODE, and the deployment type for `auto`).
+ * @returns {boolean}
+ */
+function usePolling() {
+  return POLLING_MODE === 'always' || (POLLING_MODE === 'auto' && !!deployment && deployment.type === 'standalone');
+}
+
+/**
+ * Lists the namespaces a polling watcher covers right now: its collection, or the collections of its database,
+ * the deployment or its watch list. System collections, the resume token store and EXCLUDED_COLLECTIONS are left out.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @returns {Promise<string[]>} `db.coll` names.
+ */
+async function pollableNamespaces(watcher) {
+  const { database, collection, namespaces } = watcher;
+  if (database && collection && collection !== '*') {
+    return [`${database}.${collection}`];
+  }
+
+  let databases = [database];
+  if (!database) {
+    const { databases: all } = await mongoClient.db().admin().listDatabases({ nameOnly: true });
+    databases = all.map(db => db.name).filter(name => !['admin', 'local', 'config'].includes(name));
+  }
+
+  const result = [];
+  for (const db of databases) {
+    const collections = await mongoClient.db(db).listCollections({ type: 'collection' }, { nameOnly: true }).toArray();
+    collections
+      .map(coll => coll.name)
+      .filter(name => !name.startsWith('system.') && !EXCLUDED_COLLECTIONS.includes(name))
+      .map(name => `${db}.${name}`)
+      .filter(namespace => namespace !== RESUME_TOKEN_COLLECTION || RESUME_TOKEN_STORE !== 'mongodb')
+      .filter(namespace => !namespaces || namespaces.some(entry => namespaceMatches(namespace, entry)))
+      .forEach(namespace => result.push(namespace));
+  }
+  return result;
+}
+
+/**
+ * Builds a change event, shaped like the ones change streams deliver, for a polled document.
+ * The event id is derived from the document, so watchers polling the same collection report it once.
+ * @param {string} operationType - `insert`, `update` or `delete`.
+ * @param {string} namespace - `db.coll`.
+ * @param {Object} doc - The document (just `_id` for deletes).
+ * @returns {Object} The change event.
+ */
+function polledChange(operationType, namespace, doc) {
+  const [db, ...rest] = namespace.split('.');
+  let version = '';
+  if (operationType === 'update') {
+    version = `:${BSON.EJSON.stringify(doc[POLL_UPDATED_AT_FIELD], { relaxed: false })}`;
+  }
+
+  const change = {
+    _id: { _data: `poll:${operationType}:${namespace}:${BSON.EJSON.stringify(doc._id, { relaxed: false })}${version}` },
+    operationType,
+    ns: { db, coll: rest.join('.') },
+    documentKey: { _id: doc._id },
+    wallTime: new Date()
+  };
+  if (operationType !== 'delete') {
+    change.fullDocument = doc;
+  }
+  return change;
+}
+
+/**
+ * Reads where a polled collection currently ends: its highest `_id`, latest POLL_UPDATED_AT_FIELD value
+ * (and the highest `_id` having it) and (with POLL_DETECT_DELETES) all its `_id`s.
+ * Documents already there when polling starts are not reported.
+ * @param {Collection} coll - The collection.
+ * @returns {Promise<{lastId: *, lastUpdatedAt: *, lastUpdatedId: *, ids: Map<string, *>|null}>} Polling position.
+ */
+async function pollBaseline(coll) {
+  const [newest] = await coll.find({}).project({ _id: 1 }).sort({ _id: -1 }).limit(1).toArray();
+  let lastUpdatedAt = null;
+  let lastUpdatedId = null;
+  if (POLL_UPDATED_AT_FIELD) {
+    const [latest] = await coll.find({ [POLL_UPDATED_AT_FIELD]: { $exists: true } })
+      .project({ [POLL_UPDATED_AT_FIELD]: 1 }).sort({ [POLL_UPDATED_AT_FIELD]: -1, _id: -1 }).limit(1).toArray();
+    if (latest) {
+      lastUpdatedAt = latest[POLL_UPDATED_AT_FIELD];
+      lastUpdatedId = latest._id;
+    }
+  }
+  return { lastId: newest ? newest._id : null, lastUpdatedAt, lastUpdatedId, ids: await pollIds(coll) };
+}
+
+/**
+ * Reads all `_id`s of a collection for delete detection.
+ * @param {Collection} coll - The collection.
+ * @returns {Promise<Map<string, *>|null>} `_id`s keyed by their Extended JSON, or null if deletes are not detected
+ *   (disabled, or the collection is larger than POLL_DELETE_SCAN_LIMIT).
+ */
+async function pollIds(coll) {
+  if (!POLL_DETECT_DELETES) return null;
+  const docs = await coll.find({}).project({ _id: 1 }).limit(POLL_DELETE_SCAN_LIMIT + 1).toArray();
+  if (docs.length > POLL_DELETE_SCAN_LIMIT) return null;
+  return new Map(docs.map(doc => [BSON.EJSON.stringify(doc._id, { relaxed: false }), doc._id]));
+}
+
+/**
+ * Polls one collection once and returns what changed since the last round, oldest first.
+ * Inserts are documents past the highest `_id` seen; updates are older documents whose
+ * POLL_UPDATED_AT_FIELD moved past the latest value seen, paged on (that value, `_id`) so documents
+ * sharing a timestamp are not skipped at a batch boundary; deletes are `_id`s that disappeared.
+ * Positions advance over every document; the watcher's filter `match` and `fields` only decide what is reported,
+ * so a document inserted without matching is reported as an update once it is changed to match.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @param {string} namespace - `db.coll`.
+ * @param {Object} position - The collection's polling position (see `pollBaseline()`), advanced in place.
+ * @returns {Promise<Object[]>} Change events.
+ */
+async function pollCollection(watcher, namespace, position) {
+  const [db, ...rest] = namespace.split('.');
+  const coll = mongoClient.db(db).collection(rest.join('.'));
+  const { filter } = watcher;
+  const wants = operationType => !filter || !filter.operationTypes || filter.operationTypes.includes(operationType);
+  const query = condition => (filter && filter.match ? { $and: [condition, filter.match] } : condition);
+
+  let projection = null;
+  if (filter && filter.fields) {
+    projection = { _id: 1 };
+    filter.fields.forEach(field => { projection[field] = 1; });
+    if (POLL_UPDATED_AT_FIELD) projection[POLL_UPDATED_AT_FIELD] = 1;
+  }
+  const find = (condition, sort) => {
+    const cursor = coll.find(query(condition)).sort(sort).limit(POLL_BATCH_SIZE);
+    return (projection ? cursor.project(projection) : cursor).toArray();
+  };
+
+  const changes = [];
+  const previousLastId = position.lastId;
+
+  // Inserts; `_id`s must grow with insertion (ObjectIds and counters do).
+  // The new `_id`s are scanned without the filter, then the matching documents among them are read.
+  const scanProjection = POLL_UPDATED_AT_FIELD ? { _id: 1, [POLL_UPDATED_AT_FIELD]: 1 } : { _id: 1 };
+  const scanned = await coll.find(previousLastId === null ? {} : { _id: { $gt: previousLastId } })
+    .project(scanProjection).sort({ _id: 1 }).limit(POLL_BATCH_SIZE).toArray();
+  if (scanned.length > 0) {
+    position.lastId = scanned[scanned.length - 1]._id;
+    if (wants('insert')) {
+      const range = previousLastId === null ? { $lte: position.lastId } : { $gt: previousLastId, $lte: position.lastId };
+      const inserted = await find({ _id: range }, { _id: 1 });
+      inserted.forEach(doc => changes.push(polledChange('insert', namespace, doc)));
+    }
+  }
+
+  // Updates of documents that existed before this round, after the last (POLL_UPDATED_AT_FIELD, _id) seen
+  if (POLL_UPDATED_AT_FIELD && previousLastId !== null) {
+    const { lastUpdatedAt, lastUpdatedId } = position;
+    let since = { [POLL_UPDATED_AT_FIELD]: { $exists: true } };
+    if (lastUpdatedAt !== null) {
+      since = { $or: [
+        { [POLL_UPDATED_AT_FIELD]: { $gt: lastUpdatedAt } },
+        { [POLL_UPDATED_AT_FIELD]: lastUpdatedAt, _id: { $gt: lastUpdatedId } }
+      ] };
+    }
+    const changed = await coll.find({ $and: [{ _id: { $lte: previousLastId } }, since] })
+      .project({ _id: 1, [POLL_UPDATED_AT_FIELD]: 1 }).sort({ [POLL_UPDATED_AT_FIELD]: 1, _id: 1 }).limit(POLL_BATCH_SIZE).toArray();
+    if (changed.length > 0) {
+      const last = changed[changed.length - 1];
+      position.lastUpdatedAt = last[POLL_UPDATED_AT_FIELD];
+      position.lastUpdatedId = last._id;
+      if (wants('update')) {
+        const updated = await find({ _id: { $in: changed.map(doc => doc._id) } }, { [POLL_UPDATED_AT_FIELD]: 1, _id: 1 });
+        updated.forEach(doc => changes.push(polledChange('update', namespace, doc)));
+      }
+    }
+  }
+  // Inserted documents count as seen for updates too; their `_id`s are past any seen before
+  if (POLL_UPDATED_AT_FIELD) {
+    scanned.forEach(doc => {
+      const at = doc[POLL_UPDATED_AT_FIELD];
+      if (at !== undefined && at !== null && (position.lastUpdatedAt === null || at >= position.lastUpdatedAt)) {
+        position.lastUpdatedAt = at;
+        position.lastUpdatedId = doc._id;
+      }
+    });
+  }
+
+  // Deletes; like change streams, a `match` never selects them (they carry no document)
+  if (position.ids) {
+    const ids = await pollIds(coll);
+    if (ids && wants('delete') && !(filter && filter.match)) {
+      position.ids.forEach((id, key) => {
+        if (!ids.has(key)) changes.push(polledChange('delete', namespace, { _id: id }));
+      });
+    }
+    position.ids = ids;
+  }
+
+  return changes;
+}
+
+/**
+ * Runs one polling round for a watcher over all its namespaces, relays what changed,
+ * and schedules the next round. Errors are reported to the watcher's panes once per distinct message.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @param {Object} poller - The watcher's poller; rounds stop once it is replaced or stopped.
+ */
+async function pollRound(watcher, poller) {
+  try {
+    const namespaces = await pollableNamespaces(watcher);
+
+    // Collections that went away are forgotten; new ones start from where they are now
+    for (const namespace of poller.positions.keys()) {
+      if (!namespaces.includes(namespace)) poller.positions.delete(namespace);
+    }
+    for (const namespace of namespaces) {
+      if (watcher.poller !== poller) return;
+      const position = poller.positions.get(namespace);
+      if (!position) {
+        const [db, ...rest] = namespace.split('.');
+        poller.positions.set(namespace, await pollBaseline(mongoClient.db(db).collection(rest.join('.'))));
+        continue;
+      }
+      const changes = await pollCollection(watcher, namespace, position);
+      if (watcher.poller !== poller) return;
+      changes.forEach(change => relayChange(watcher, change, process.hrtime.bigint()));
+    }
+    poller.lastError = null;
+  } catch (err) {
+    if (poller.lastError !== err.message) {
+      console.error(`Polling error (${watcher.description}):`, err.message);
+      incrementTargetCounter(metrics.streamErrors, watcher.description);
+      watcher.lastError = { message: err.message, at: new Date().toISOString() };
+      notifySubscribers(watcher, { type: 'error', message: `Polling failed: ${err.message}` });
+    }
+    poller.lastError = err.message;
+  }
+
+  if (watcher.poller === poller) {
+    poller.timer = setTimeout(() => pollRound(watcher, poller), POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Starts polling for a watcher in place of a change stream. Resume tokens and start points
+ * do not apply: polling reports what changes from now on.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ */
+function startPolling(watcher) {
+  console.log(`Polling: ${watcher.description} (every ${POLL_INTERVAL_MS} ms)`);
+  const poller = { positions: new Map(), timer: null, lastError: null };
+  watcher.poller = poller;
+  pollRound(watcher, poller);
+}
+
+/**
+ * Stops a watcher's polling.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ */
+function stopPolling(watcher) {
+  if (!watcher.poller) return;
+  clearTimeout(watcher.poller.timer);
+  watcher.poller = null;
+  console.log(`Stopped polling: ${watcher.description}`);
+}
+
+// ==========================================
+// Diagnostics
+// ==========================================
+
+/** How long the slower diagnostics (oplog window, privilege checks) are reused before probing again (ms) */
+const DIAGNOSTICS_CACHE_MS = 30000;
+
+/** How long the change stream privilege check waits for the server to accept the stream (ms) */
+const DIAGNOSTICS_STREAM_WAIT_MS = 1000;
+
+/**
+ * Asks MongoDB what kind of deployment it is. Change streams need a replica set or a sharded cluster.
+ * @returns {Promise<{type: string, setName: string|null, version: string|null}>} `type` is `replicaSet`, `sharded` or `standalone`.
+ */
+async function describeDeployment() {
+  const admin = mongoClient.db('admin');
+  const hello = await admin.command({ hello: 1 });
+  const build = await admin.command({ buildInfo: 1 }).catch(() => ({}));
+
+  let type = 'standalone';
+  if (hello.msg === 'isdbgrid') {
+    type = 'sharded';
+  } else if (hello.setName) {
+    type = 'replicaSet';
+  }
+  return { type, setName: hello.setName || null, version: build.version || null };
+}
+
+/**
+ * Measures the oplog window: the time between the oldest and newest oplog entry.
+ * A stream that is down for longer than this cannot resume without losing events.
+ * Not available through mongos or without read access to `local`.
+ * @returns {Promise<Object>} `{firstAt, lastAt, hours}`, or `{error}`.
+ */
+async function measureOplogWindow() {
+  if (deployment && deployment.type !== 'replicaSet') {
+    return { error: `Not available on a ${deployment.type} deployment` };
+  }
+  try {
+    const oplog = mongoClient.db('local').collection('oplog.rs');
+    const [first] = await oplog.find({}).project({ ts: 1 }).sort({ $natural: 1 }).limit(1).toArray();
+    const [last] = await oplog.find({}).project({ ts: 1 }).sort({ $natural: -1 }).limit(1).toArray();
+    if (!first || !last) return { error: 'Oplog is empty' };
+
+    const firstAt = first.ts.t * 1000;
+    const lastAt = last.ts.t * 1000;
+    return {
+      firstAt: new Date(firstAt).toISOString(),
+      lastAt: new Date(lastAt).toISOString(),
+      hours: Math.round((lastAt - firstAt) / 36e3) / 100
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Runs the checks `test-connection.js` does by hand against the default watch target:
+ * listing databases, listing the target database's collections, and opening a change stream on it.
+ * @returns {Promise<Array<{check: string, ok: boolean, detail: string}>>} One result per check.
+ */
+async function checkPrivileges() {
+  const target = describeTarget(MONGODB_DATABASE, MONGODB_COLLECTION);
+  const results = [];
+  const run = async (check, probe) => {
+    try {
+      results.push({ check, ok: true, detail: await probe() });
+    } catch (err) {
+      results.push({ check, ok: false, detail: err.message });
+    }
+  };
+
+  await run('listDatabases', async () => {
+    const { databases } = await mongoClient.db().admin().listDatabases({ nameOnly: true });
+    return `${databases.length} databases`;
+  });
+
+  if (MONGODB_DATABASE) {
+    await run('listCollections', async () => {
+      const collections = await mongoClient.db(MONGODB_DATABASE).listCollections({}, { nameOnly: true }).toArray();
+      return `${collections.length} collections in ${MONGODB_DATABASE}`;
+    });
+  }
+
+  // The server only checks the changeStream privilege once the cursor is opened
+  await run('changeStream', async () => {
+    const stream = changeStreamSource(MONGODB_DATABASE, MONGODB_COLLECTION).watch([], { maxAwaitTimeMS: DIAGNOSTICS_STREAM_WAIT_MS });
+    try {
+      await stream.tryNext();
+    } finally {
+      await stream.close().catch(() => {});
+    }
+    return `Opened on ${target}`;
+  });
+
+  return results;
+}
+
+/**
+ * Runs the slower diagnostics probes, reusing the last result for DIAGNOSTICS_CACHE_MS.
+ * @param {boolean} [refresh=false] - Probe again even if the cached result is recent.
+ * @returns {Promise<{oplog: Object, privileges: Object[], checkedAt: string}>}
+ */
+async function probeDiagnostics(refresh = false) {
+  if (!refresh && diagnosticsCache && Date.now() - diagnosticsCache.at < DIAGNOSTICS_CACHE_MS) {
+    return diagnosticsCache.result;
+  }
+  const result = {
+    oplog: await measureOplogWindow(),
+    privileges: await checkPrivileges(),
+    checkedAt: new Date().toISOString()
+  };
+  diagnosticsCache = { at: Date.now(), result };
+  return result;
+}
+
+/**
+ * Describes what a watcher's change stream is doing.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @returns {string} `open`, `catchingUp`, `polling`, `invalidated`, `retrying` or `starting`.
+ */
+function watcherState(watcher) {
+  if (watcher.invalidated) return 'invalidated';
+  if (watcher.poller) return 'polling';
+  if (watcher.stream) return watcher.catchUp ? 'catchingUp' : 'open';
+  if (watcher.retryTimer) return 'retrying';
+  return 'starting';
+}
+
+/**
+ * Whether the server itself depends on a watcher: the unfiltered default target, or one feeding webhooks.
+ * Panes' own targets and filters come and go with the clients and do not affect readiness.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @returns {boolean}
+ */
+function isEssentialWatcher(watcher) {
+  return watcher.sinks.length > 0
+    || (watcher.shared && !watcher.filter && watcher.description === describeTarget(MONGODB_DATABASE, MONGODB_COLLECTION));
+}
+
+/**
+ * Decides whether the server can do its job: MongoDB is connected and reachable,
+ * supports change streams (or is polled instead), and neither the default target's stream nor a webhook's is failing.
+ * `changeStreamsSupported` is null (unknown, not failing) until the deployment type could be probed.
+ * @returns {{ready: boolean, checks: Object<string, boolean|null>}} Overall result and the individual checks.
+ */
+function readiness() {
+  const checks = {
+    mongodb: mongoConnected && mongoReachable,
+    changeStreamsSupported: deployment ? deployment.type !== 'standalone' || usePolling() : null,
+    streamsHealthy: [...watchers.values()]
+      .filter(isEssentialWatcher)
+      .every(watcher => watcherState(watcher) !== 'retrying')
+  };
+  return { ready: Object.values(checks).every(check => check !== false), checks };
+}
+
+/**
+ * Builds the diagnostics report shown in the UI, with the watch targets the caller may see.
+ * Stream filters are only shown to operators and to the principal whose panes use them.
+ * @param {Object|null} principal - The caller (null when authentication is disabled).
+ * @param {boolean} [refresh=false] - Probe again instead of using cached results.
+ * @returns {Promise<Object>} The report.
+ */
+async function collectDiagnostics(principal, refresh = false) {
+  const { ready, checks } = readiness();
+  const showsFilter = watcher => hasPermission(principal, 'configure') ||
+    [...watcher.subscribers].some(subscription => {
+      const session = sessions.get(subscription.ws);
+      return session && session.principal && session.principal.name === principal.name;
+    });
+  const lastEventAt = metrics.lastEventAt.size > 0 ? Math.max(...metrics.lastEventAt.values()) : null;
+
+  const report = {
+    ready,
+    checks,
+    mongodb: {
+      connected: mongoConnected,
+      reachable: mongoReachable,
+      deployment
+    },
+    defaultTarget: describeTarget(MONGODB_DATABASE, MONGODB_COLLECTION),
+    lastEventAt: lastEventAt ? new Date(lastEventAt).toISOString() : null,
+    streams: [...watchers.values()]
+      .filter(watcher => !principal || (watcher.namespaces || [watcher.description]).every(entry => namespaceAllowed(principal, entry)))
+      .map(watcher => ({
+        target: watcher.description,
+        filter: showsFilter(watcher) ? watcher.filter : null,
+        state: watcherState(watcher),
+        panes: watcher.subscribers.size,
+        webhooks: watcher.sinks.length,
+        resumeTokenSavedAt: resumeTokens.has(watcher.key) ? resumeTokens.get(watcher.key).savedAt : null,
+        lastError: watcher.lastError,
+        invalidated: watcher.invalidated
+      })),
+    oplog: null,
+    privileges: [],
+    checkedAt: null
+  };
+
+  if (mongoConnected) {
+    Object.assign(report, await probeDiagnostics(refresh));
+  }
+  return report;
+}
+
+// ==========================================
+// Filter Pipelines
+// ==========================================
+
+/** Events announcing that what a stream watches was dropped or renamed; filters never keep them from the server (see `handleInvalidate()`) */
+const STREAM_LIFECYCLE_TYPES = ['drop', 'rename', 'dropDatabase', 'invalidate'];
+
+/** Change event operation types a filter may select */
+const FILTERABLE_OPERATION_TYPES = ['insert', 'update', 'replace', 'delete', 'drop', 'rename', 'dropDatabase', 'invalidate'];
+
+/** Query operators allowed inside a filter `match` (no server-side JavaScript or `$expr`) */
+const ALLOWED_QUERY_OPERATORS = [
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+  '$and', '$or', '$nor', '$not', '$exists', '$type', '$regex', '$options',
+  '$size', '$all', '$elemMatch', '$mod'
+];
+
+/** Operators combining whole queries; the only ones allowed where field names are expected */
+const LOGICAL_QUERY_OPERATORS = ['$and', '$or', '$nor'];
+
+/** BSON type aliases accepted by `$type` */
+const BSON_TYPE_ALIASES = [
+  'double', 'string', 'object', 'array', 'binData', 'undefined', 'objectId', 'bool', 'date', 'null',
+  'regex', 'dbPointer', 'javascript', 'symbol', 'javascriptWithScope', 'int', 'timestamp', 'long',
+  'decimal', 'minKey', 'maxKey', 'number'
+];
+
+/** Numeric BSON type codes accepted by `$type` */
+const BSON_TYPE_CODES = [-1, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 127];
+
+/**
+ * Whether a value is a plain JSON object (not an array or null).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks a user supplied query document: logical operators and field conditions only,
+ * no redacted fields, and operator arguments MongoDB will accept.
+ * @param {*} query - Query document.
+ * @param {string} path - Location of the query, used in error messages.
+ * @throws {Error} If the query is not acceptable.
+ */
+function validateQuery(query, path) {
+  if (!isPlainObject(query)) {
+    throw new Error(`Expected a query object (at ${path || 'top level'})`);
+  }
+
+  for (const [key, value] of Object.entries(query)) {
+    const at = path ? `${path}.${key}` : key;
+    if (LOGICAL_QUERY_OPERATORS.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${key} expects a non-empty array (at ${path || 'top level'})`);
+      }
+      value.forEach((sub, i) => validateQuery(sub, `${at}[${i}]`));
+    } else if (key.startsWith('$')) {
+      throw new Error(ALLOWED_QUERY_OPERATORS.includes(key)
+        ? `Operator ${key} must be applied to a field (at ${path || 'top level'})`
+        : `Operator ${key} is not allowed in filter (at ${path || 'top level'})`);
+    } else {
+      // Field paths below operators like $elemMatch are relative to the enclosing field
+      const fieldPath = [...path.split('.'), key]
+        .map(part => part.replace(/\[\d+\]$/, ''))
+        .filter(part => part && !part.startsWith('$'))
+        .join('.');
+      if (isRedactedPath(fieldPath)) {
+        throw new Error(`Field ${fieldPath} is redacted and cannot be used in a filter`);
+      }
+      validateCondition(value, at);
+    }
+  }
+}
+
+/**
+ * Checks the condition on a field: a literal to compare with, or an object of operators and their arguments.
+ * @param {*} condition - Value of a field in a query.
+ * @param {string} path - Location of the condition, used in error messages.
+ * @throws {Error} If the condition is not acceptable.
+ */
+function validateCondition(condition, path) {
+  if (!isPlainObject(condition)) return;
+  const keys = Object.keys(condition);
+  const operators = keys.filter(key => key.startsWith('$'));
+  // An embedded document to compare with
+  if (operators.length === 0) return;
+  if (operators.length !== keys.length) {
+    throw new Error(`Cannot mix operators and field names (at ${path})`);
+  }
+
+  for (const [op, arg] of Object.entries(condition)) {
+    const at = `${path}.${op}`;
+    if (!ALLOWED_QUERY_OPERATORS.includes(op)) {
+      throw new Error(`Operator ${op} is not allowed in filter (at ${path})`);
+    }
+    switch (op) {
+      case '$and':
+      case '$or':
+      case '$nor':
+        throw new Error(`${op} must be used at query level, not on a field (at ${path})`);
+      case '$in':
+      case '$nin':
+        if (!Array.isArray(arg)) throw new Error(`${op} expects an array (at ${at})`);
+        if (arg.some(item => isPlainObject(item) && Object.keys(item).some(k => k.startsWith('$')))) {
+          throw new Error(`${op} cannot contain operators (at ${at})`);
+        }
+        break;
+      case '$all':
+        if (!Array.isArray(arg)) throw new Error(`$all expects an array (at ${at})`);
+        arg.forEach((item, i) => {
+          if (isPlainObject(item) && Object.keys(item).some(k => k.startsWith('$'))) {
+            if (Object.keys(item).length !== 1 || !isPlainObject(item.$elemMatch)) {
+              throw new Error(`$all can only contain values or $elemMatch (at ${at}[${i}])`);
+            }
+            validateCondition(item, `${at}[${i}]`);
+          }
+        });
+        break;
+      case '$type': {
+        const types = Array.isArray(arg) ? arg : [arg];
+        const invalid = types.filter(type => !BSON_TYPE_ALIASES.includes(type) && !BSON_TYPE_CODES.includes(type));
+        if (types.length === 0 || invalid.length > 0) {
+          throw new Error(`Unknown BSON type ${invalid.map(t => JSON.stringify(t)).join(', ') || '(none)'} (at ${at})`);
+        }
+        break;
+      }
+      case '$regex':
+        if (typeof arg !== 'string') throw new Error(`$regex expects a string (at ${at})`);
+        try {
+          new RegExp(arg);
+        } catch (err) {
+          throw new Error(`Invalid $regex at ${at}: ${err.message}`);
+        }
+        break;
+      case '$options':
+        if (!('$regex' in condition)) throw new Error(`$options requires $regex (at ${at})`);
+        if (typeof arg !== 'string' || !/^[imxsu]*$/.test(arg)) {
+          throw new Error(`$options expects a string of the flags i, m, x, s and u (at ${at})`);
+        }
+        break;
+      case '$size':
+        if (!Number.isInteger(arg) || arg < 0) throw new Error(`$size expects a non-negative integer (at ${at})`);
+        break;
+      case '$mod':
+        if (!Array.isArray(arg) || arg.length !== 2 || !arg.every(Number.isFinite)) {
+          throw new Error(`$mod expects [divisor, remainder] (at ${at})`);
+        }
+        if (Math.trunc(arg[0]) === 0) throw new Error(`$mod divisor cannot be 0 (at ${at})`);
+        break;
+      case '$not':
+        if (!isPlainObject(arg) || Object.keys(arg).length === 0 || !Object.keys(arg).every(k => k.startsWith('$'))) {
+          throw new Error(`$not expects an object of operators (at ${at})`);
+        }
+        validateCondition(arg, at);
+        break;
+      case '$elemMatch':
+        if (!isPlainObject(arg)) throw new Error(`$elemMatch expects an object (at ${at})`);
+        // Either conditions on the element itself or a query on the element's fields
+        if (Object.keys(arg).some(k => k.startsWith('$') && !LOGICAL_QUERY_OPERATORS.includes(k))) {
+          validateCondition(arg, at);
+        } else {
+          validateQuery(arg, at);
+        }
+        break;
+      default:
+        // $eq, $ne, $gt, $gte, $lt, $lte and $exists take any value
+        break;
+    }
+  }
+}
+
+/**
+ * Rewrites the field paths of a query so it applies under a prefix (e.g. `fullDocument.`).
+ * Logical operators are descended into; everything else is left as is.
+ * @param {Object} query - Query using document-relative field paths.
+ * @param {string} prefix - Prefix to add to each field path.
+ * @returns {Object} The prefixed query.
+ */
+function prefixQuery(query, prefix) {
+  const result = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (LOGICAL_QUERY_OPERATORS.includes(key)) {
+      result[key] = value.map(sub => prefixQuery(sub, prefix));
+    } else if (key.startsWith('$')) {
+      result[key] = value;
+    } else {
+      result[prefix + key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validates a filter sent by a client and returns it in canonical form.
+ *
+ * A filter may contain:
+ * - `operationTypes`: change event types to keep (e.g. `['insert', 'update']`)
+ * - `match`: query on document fields, tested against `fullDocument` or `updateDescription.updatedFields`
+ * - `fields`: field paths to keep in the document and update description
+ *
+ * @param {Object} [filter] - Filter from the `selectCollection` message.
+ * @returns {Object|null} The normalized filter, or null if it selects everything.
+ * @throws {Error} If the filter is malformed.
+ */
+function normalizeFilter(filter) {
+  if (filter === undefined || filter === null) return null;
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Filter must be an object');
+  }
+
+  const unknown = Object.keys(filter).filter(k => !['operationTypes', 'match', 'fields'].includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter option: ${unknown.join(', ')}`);
+  }
+
+  const normalized = {};
+
+  if (filter.operationTypes !== undefined) {
+    if (!Array.isArray(filter.operationTypes)) {
+      throw new Error('operationTypes must be an array');
+    }
+    const invalid = filter.operationTypes.filter(op => !FILTERABLE_OPERATION_TYPES.includes(op));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown operation type: ${invalid.join(', ')}`);
+    }
+    if (filter.operationTypes.length > 0) {
+      normalized.operationTypes = [...new Set(filter.operationTypes)].sort();
+    }
+  }
+
+  if (filter.match !== undefined) {
+    if (!filter.match || typeof filter.match !== 'object' || Array.isArray(filter.match)) {
+      throw new Error('match must be an object');
+    }
+    validateQuery(filter.match, '');
+    if (Object.keys(filter.match).length > 0) {
+      normalized.match = filter.match;
+    }
+  }
+
+  if (filter.fields !== undefined) {
+    if (!Array.isArray(filter.fields) || filter.fields.some(f => typeof f !== 'string' || !f.trim())) {
+      throw new Error('fields must be an array of field paths');
+    }
+    const fields = [...new Set(filter.fields.map(f => f.trim()))];
+    const bad = fields.find(f => f.startsWith('$') || f.split('.').some(part => !part));
+    if (bad) {
+      throw new Error(`Invalid field path: ${bad}`);
+    }
+    if (fields.length > 0) {
+      normalized.fields = fields;
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Compiles a normalized filter into change stream pipeline stages.
+ * @param {Object|null} filter - Output of `normalizeFilter()`.
+ * @returns {Object[]} Aggregation stages to append to the change stream pipeline.
+ */
+function compileFilterPipeline(filter) {
+  if (!filter) return [];
+  const stages = [];
+
+  // Lifecycle events pass every stage; those the filter leaves out are dropped before broadcasting
+  if (filter.operationTypes) {
+    stages.push({ $match: { operationType: { $in: [...new Set([...filter.operationTypes, ...STREAM_LIFECYCLE_TYPES])] } } });
+  }
+
+  if (filter.match) {
+    stages.push({
+      $match: {
+        $or: [
+          { operationType: { $in: STREAM_LIFECYCLE_TYPES } },
+          prefixQuery(filter.match, 'fullDocument.'),
+          prefixQuery(filter.match, 'updateDescription.updatedFields.')
+        ]
+      }
+    });
+  }
+
+  if (filter.fields) {
+    // Event metadata must survive the projection (`_id` is the resume token)
+    const projection = {
+      _id: 1,
+      operationType: 1,
+      ns: 1,
+      to: 1,
+      documentKey: 1,
+      clusterTime: 1,
+      wallTime: 1,
+      'updateDescription.removedFields': 1,
+      'updateDescription.truncatedArrays': 1
+    };
+    filter.fields.forEach(field => {
+      projection[`fullDocument.${field}`] = 1;
+      projection[`fullDocumentBeforeChange.${field}`] = 1;
+      projection[`updateDescription.updatedFields.${field}`] = 1;
+    });
+    stages.push({ $project: projection });
+  }
+
+  return stages;
+}
+
+/**
+ * Builds the key identifying a shared watcher: the target plus its filter.
+ * @param {string} description - Watch description.
+ * @param {Object|null} filter - Normalized filter.
+ * @returns {string} The watcher key.
+ */
+function watchKey(description, filter) {
+  return filter ? `${description} ${JSON.stringify(filter)}` : description;
+}
+
+// ==========================================
+// Watch Lists
+// ==========================================
+
+/** Most entries a single watch list may have */
+const MAX_WATCH_LIST_ENTRIES = 50;
+
+/**
+ * Parses a watch list entry written as `/regex/` or `/regex/i`.
+ * @param {string} entry - Watch list entry or watch description.
+ * @returns {RegExp|null} The regex, or null if the entry is not one.
+ * @throws {Error} If the entry looks like a regex but does not compile.
+ */
+function parseNamespaceRegex(entry) {
+  const match = /^\/(.+)\/(i?)$/.exec(entry);
+  if (!match) return null;
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (err) {
+    throw new Error(`Invalid namespace regex ${entry}: ${err.message}`);
+  }
+}
+
+/**
+ * Whether an entry is a `db.coll`, `db.*` or `*.*` pattern.
+ * @param {*} entry - Candidate pattern.
+ * @returns {boolean}
+ */
+function isNamespacePattern(entry) {
+  return typeof entry === 'string' && /^([^.\s$/]+)\.(\S+)$/.test(entry) && (!entry.startsWith('*.') || entry === '*.*');
+}
+
+/**
+ * Validates a client supplied watch list.
+ * Entries are `db.coll`, `db.*`, `*.*` or a `/regex/` matched against `db.coll`.
+ * @param {*} namespaces - Watch list.
+ * @returns {string[]} Distinct entries, sorted.
+ * @throws {Error} If the list or one of its entries is not acceptable.
+ */
+function normalizeNamespaces(namespaces) {
+  if (!Array.isArray(namespaces) || namespaces.length === 0) {
+    throw new Error('namespaces must be a non-empty array');
+  }
+  if (namespaces.length > MAX_WATCH_LIST_ENTRIES) {
+    throw new Error(`A watch list may have at most ${MAX_WATCH_LIST_ENTRIES} entries`);
+  }
+
+  const entries = [...new Set(namespaces.map(entry => (typeof entry === 'string' ? entry.trim() : '')))];
+  entries.forEach(entry => {
+    if (parseNamespaceRegex(entry)) return;
+    if (!isNamespacePattern(entry)) {
+      throw new Error(`Invalid namespace: ${entry || '(empty)'}`);
+    }
+  });
+  return entries.sort();
+}
+
+/**
+ * Resolves what a pane watches.
+ * A watch list naming a single collection or database becomes that plain target; otherwise the list is
+ * watched on the one database all its entries belong to, or on the whole deployment.
+ * @param {string} [database] - Database name ('' for the deployment).
+ * @param {string} [collection] - Collection name ('' or '*' for the database).
+ * @param {string[]|null} [namespaces] - Watch list (see `normalizeNamespaces()`); takes precedence when given.
+ * @returns {{database: string, collection: string, namespaces: string[]|null, description: string}} The target.
+ */
+function resolveTarget(database, collection, namespaces = null) {
+  if (namespaces && namespaces.includes('*.*')) {
+    return resolveTarget('', '');
+  }
+  if (namespaces && namespaces.length === 1 && !parseNamespaceRegex(namespaces[0])) {
+    const [db, ...rest] = namespaces[0].split('.');
+    return resolveTarget(db, rest.join('.'));
+  }
+
+  if (!namespaces) {
+    return {
+      database: database || '',
+      collection: collection || '',
+      namespaces: null,
+      description: describeTarget(database, collection)
+    };
+  }
+
+  const databases = new Set(namespaces.map(entry => (parseNamespaceRegex(entry) ? null : entry.split('.')[0])));
+  return {
+    database: databases.size === 1 && !databases.has(null) ? [...databases][0] : '',
+    collection: '',
+    namespaces,
+    description: namespaces.join(', ')
+  };
+}
+
+/**
+ * Builds the change stream stage that keeps only a watch list's namespaces.
+ * @param {string[]} namespaces - Watch list.
+ * @returns {Object} A `$match` stage.
+ */
+function compileNamespaceMatch(namespaces) {
+  return {
+    $match: {
+      $or: namespaces.map(entry => {
+        const regex = parseNamespaceRegex(entry);
+        if (regex) {
+          return {
+            $expr: {
+              $regexMatch: { input: { $concat: ['$ns.db', '.', '$ns.coll'] }, regex: regex.source, options: regex.flags }
+            }
+          };
+        }
+        const [database, ...rest] = entry.split('.');
+        const collection = rest.join('.');
+        return collection === '*' ? { 'ns.db': database } : { 'ns.db': database, 'ns.coll': collection };
+      })
+    }
+  };
+}
+
+// ==========================================
+// Start Points
+// ==========================================
+
+/** A stream replaying the past counts as caught up once no event arrived for this long (ms) */
+const CATCH_UP_IDLE_MS = 2000;
+
+/** How often a catching-up stream reports how far it got (ms) */
+const CATCH_UP_PROGRESS_MS = 500;
+
+/** Distinguishes the watchers of panes that start in the past; they are never shared */
+let startPointWatchers = 0;
+
+/**
+ * Validates where a pane asks to start watching.
+ * @param {*} startFrom - `{time}` (a date string), `{minutesAgo}` or `{resumeToken}` (the token's `_data` hex, or its JSON).
+ * @returns {{operationTime?: Object, resumeToken?: Object, label: string}|null} What to pass to the change stream, or null to start live.
+ * @throws {Error} If the start point is malformed or in the future.
+ */
+function normalizeStartFrom(startFrom) {
+  if (startFrom === undefined || startFrom === null) return null;
+  if (typeof startFrom !== 'object' || Array.isArray(startFrom)) {
+    throw new Error('startFrom must be an object');
+  }
+
+  if (startFrom.resumeToken !== undefined) {
+    let data = startFrom.resumeToken;
+    if (typeof data === 'string' && data.trim().startsWith('{')) {
+      try {
+        data = JSON.parse(data)._data;
+      } catch (err) {
+        throw new Error('resume token is not valid JSON');
+      }
+    }
+    if (typeof data !== 'string' || !/^[0-9a-fA-F]+$/.test(data.trim())) {
+      throw new Error('resume token must be the hex string of its _data field');
+    }
+    return { resumeToken: { _data: data.trim() }, label: `resume token ${data.trim().slice(0, 12)}...` };
+  }
+
+  let at;
+  if (startFrom.minutesAgo !== undefined) {
+    const minutes = Number(startFrom.minutesAgo);
+    if (!Number.isFinite(minutes) || minutes <= 0) throw new Error('minutesAgo must be a positive number');
+    at = Date.now() - minutes * 60000;
+  } else if (startFrom.time !== undefined) {
+    at = Date.parse(startFrom.time);
+    if (Number.isNaN(at)) throw new Error(`Invalid time: ${startFrom.time}`);
+  } else {
+    throw new Error('startFrom needs a time, minutesAgo or resumeToken');
+  }
+  if (at > Date.now()) throw new Error('Start time is in the future');
+
+  // Operation times count seconds; events within the starting second are included
+  return {
+    operationTime: new BSON.Timestamp({ t: Math.floor(at / 1000), i: 0 }),
+    label: new Date(at).toISOString()
+  };
+}
+
+/**
+ * Tells a catching-up watcher's panes how far the replay got, and finishes catching up
+ * once the replay reaches the time the stream was opened.
+ * @param {Object} watcher - Entry from the `watchers` map with a `catchUp` in progress.
+ * @param {Object} change - The raw change event just received.
+ */
+function trackCatchUp(watcher, change) {
+  const { catchUp } = watcher;
+  const at = changeTime(change);
+
+  if (at >= catchUp.until) {
+    finishCatchUp(watcher);
+    return;
+  }
+
+  catchUp.position = at;
+  armCatchUpTimer(watcher);
+  if (Date.now() - catchUp.notifiedAt >= CATCH_UP_PROGRESS_MS) {
+    catchUp.notifiedAt = Date.now();
+    notifySubscribers(watcher, {
+      type: 'status',
+      status: 'catchingUp',
+      watching: watcher.description,
+      filter: watcher.filter,
+      startFrom: watcher.startFrom.label,
+      position: new Date(at).toISOString()
+    });
+  }
+}
+
+/**
+ * (Re)starts the idle timer that ends catching up when the replay runs out of events.
+ * @param {Object} watcher - Entry from the `watchers` map with a `catchUp` in progress.
+ */
+function armCatchUpTimer(watcher) {
+  clearTimeout(watcher.catchUp.idleTimer);
+  watcher.catchUp.idleTimer = setTimeout(() => finishCatchUp(watcher), CATCH_UP_IDLE_MS);
+}
+
+/**
+ * Ends a watcher's catch-up phase and tells its panes they are live.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ */
+function finishCatchUp(watcher) {
+  if (!watcher.catchUp) return;
+  clearTimeout(watcher.catchUp.idleTimer);
+  watcher.catchUp = null;
+  notifySubscribers(watcher, {
+    type: 'status',
+    status: 'caughtUp',
+    watching: watcher.description,
+    filter: watcher.filter
+  });
+}
+
+// ==========================================
+// Authentication
+// ==========================================
+
+/**
+ * What each role may do besides watching its allowed namespaces.
+ * - viewer: watch only (the default target, or its first allowed namespace)
+ * - operator: also switch targets, export events, change collection settings and read /metrics
+ */
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  operator: ['switch', 'export', 'configure', 'metrics']
+};
+
+/** Failed sign-ins by `ip:<address>` and `user:<name>`: `{count, firstAt, lockedUntil}` (see `recordLoginFailure()`) */
+const loginFailures = new Map();
+
+/** Name of the cookie holding the UI session id */
+const SESSION_COOKIE = 'mongo_tv_session';
+
+/** Hash compared against when a login names an unknown user, so both failures take equally long */
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+/**
+ * Builds the identity attached to a request or socket.
+ * @param {string} name - Username or token name.
+ * @param {string} role - Key of ROLE_PERMISSIONS.
+ * @param {string[]} [namespaces] - Allowed `db.coll`, `db.*` or `*.*` patterns (default: all).
+ * @param {string} via - `login` or `token`.
+ * @returns {{name: string, role: string, namespaces: string[], via: string}} The principal.
+ * @throws {Error} If the role or namespaces are invalid.
+ */
+function createPrincipal(name, role, namespaces, via) {
+  if (!ROLE_PERMISSIONS[role]) {
+    throw new Error(`Unknown role "${role}" for "${name}" (expected ${Object.keys(ROLE_PERMISSIONS).join(' or ')})`);
+  }
+  if (namespaces !== undefined && (!Array.isArray(namespaces) || !namespaces.every(ns => typeof ns === 'string' && ns.includes('.')))) {
+    throw new Error(`namespaces for "${name}" must be a list of db.coll, db.* or *.* patterns`);
+  }
+  return { name, role, namespaces: namespaces || ['*.*'], via };
+}
+
+/**
+ * Reads users and tokens from AUTH_USERS_FILE and AUTH_TOKEN.
+ * @throws {Error} If the file cannot be read or contains invalid entries; the server refuses to start.
+ */
+function loadAuthConfig() {
+  if (AUTH_TOKEN) {
+    authTokens.push({ digest: tokenDigest(AUTH_TOKEN), principal: createPrincipal('token', 'operator', undefined, 'token') });
+  }
+  if (!AUTH_USERS_FILE) return;
+
+  const config = yaml.load(fs.readFileSync(AUTH_USERS_FILE, 'utf8')) || {};
+
+  (config.users || []).forEach(user => {
+    if (!user.username || typeof user.password !== 'string' || !user.password.startsWith('scrypt$')) {
+      throw new Error(`User "${user.username}" needs a password hash from hash-password.js`);
+    }
+    authUsers.set(user.username, {
+      principal: createPrincipal(user.username, user.role, user.namespaces, 'login'),
+      passwordHash: user.password
+    });
+  });
+
+  (config.tokens || []).forEach(entry => {
+    if (!entry.token || String(entry.token).length < 16) {
+      throw new Error(`Token "${entry.name}" must be at least 16 characters`);
+    }
+    authTokens.push({
+      digest: tokenDigest(String(entry.token)),
+      principal: createPrincipal(entry.name || 'token', entry.role, entry.namespaces, 'token')
+    });
+  });
+
+  console.log(`Authentication enabled: ${authUsers.size} user(s), ${authTokens.length} token(s)`);
+}
+
+/**
+ * Fixed-length digest of a token, so tokens can be compared in constant time.
+ * @param {string} token - The token.
+ * @returns {Buffer} SHA-256 digest.
+ */
+function tokenDigest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Checks a password against a `scrypt$<salt>$<hash>` string made by hash-password.js.
+ * @param {string} password - Password to check.
+ * @param {string} stored - Stored hash.
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+function verifyPassword(password, stored) {
+  const [, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash || '', 'hex');
+  return new Promise((resolve) => {
+    crypto.scrypt(String(password), salt || '', expected.length || 64, (err, derived) => {
+      resolve(!err && derived.length === expected.length && crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+/**
+ * Parses a Cookie header.
+ * @param {string} [header] - Raw header.
+ * @returns {Object<string, string>} Cookie values by name.
+ */
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index <= 0) return;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // A malformed value is skipped rather than failing the whole request
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Identifies the caller of an HTTP request or WebSocket upgrade.
+ * Accepts `Authorization: Bearer <token>` or the UI session cookie.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Object|null} The principal, or null if the caller is not authenticated.
+ */
+function authenticate(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (match) {
+    const digest = tokenDigest(match[1].trim());
+    const entry = authTokens.find(t => crypto.timingSafeEqual(t.digest, digest));
+    return entry ? entry.principal : null;
+  }
+
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const authSession = sessionId && authSessions.get(sessionId);
+  if (!authSession || authSession.expiresAt <= Date.now()) return null;
+  req.authSessionId = sessionId;
+  return authSession.principal;
+}
+
+/**
+ * Whether a principal may watch or read a namespace.
+ * Always true when authentication is disabled (no principal).
+ * @param {Object|null} principal - The caller.
+ * @param {string} description - `db.coll`, `db.*` or `*.*`.
+ * @returns {boolean} Whether access is allowed.
+ */
+function namespaceAllowed(principal, description) {
+  if (!principal) return true;
+  return principal.namespaces.some(pattern => namespaceMatches(description, pattern));
+}
+
+/**
+ * Whether a principal may see a database in the sidebar (any of its namespaces is allowed).
+ * @param {Object|null} principal - The caller.
+ * @param {string} database - Database name.
+ * @returns {boolean} Whether the database is visible.
+ */
+function databaseVisible(principal, database) {
+  if (!principal) return true;
+  return principal.namespaces.some(pattern => pattern === '*.*' || pattern.startsWith(`${database}.`));
+}
+
+/**
+ * The target a principal's panes start on: the default target from env config, or, when that is not allowed,
+ * the first allowed namespace (unless env config fixes the target).
+ * @param {Object|null} principal - The caller.
+ * @returns {{database: string, collection: string}|null} The target, or null if the principal has nothing to start on.
+ */
+function defaultTargetFor(principal) {
+  if (namespaceAllowed(principal, describeTarget(MONGODB_DATABASE, MONGODB_COLLECTION))) {
+    return { database: MONGODB_DATABASE, collection: MONGODB_COLLECTION };
+  }
+  if (MONGODB_DATABASE && MONGODB_COLLECTION) return null;
+  const pattern = principal.namespaces.find(entry => !entry.startsWith('*'));
+  if (!pattern) return null;
+  const [database, ...collection] = pattern.split('.');
+  return { database, collection: collection.join('.') };
+}
+
+/**
+ * Whether a principal's role grants a permission (see ROLE_PERMISSIONS).
+ * @param {Object|null} principal - The caller.
+ * @param {string} permission - e.g. `export`.
+ * @returns {boolean} Whether the permission is granted.
+ */
+function hasPermission(principal, permission) {
+  return !principal || ROLE_PERMISSIONS[principal.role].includes(permission);
+}
+
+/**
+ * Express middleware: rejects unauthenticated requests and sets `req.principal`.
+ */
+function requireAuth(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.principal = null;
+    return next();
+  }
+  req.principal = authenticate(req);
+  if (!req.principal) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+/**
+ * Express middleware factory: rejects callers whose role lacks a permission.
+ * @param {string} permission - e.g. `export`.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.principal, permission)) {
+      return res.status(403).json({ error: `The ${req.principal.role} role cannot ${permission}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware: lets through METRICS_TOKEN, or callers whose role may read metrics.
+ * With METRICS_TOKEN set and authentication disabled, the token is the only way in.
+ */
+function requireMetricsAccess(req, res, next) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (METRICS_TOKEN && match && crypto.timingSafeEqual(tokenDigest(match[1].trim()), tokenDigest(METRICS_TOKEN))) {
+    return next();
+  }
+  if (METRICS_TOKEN && !AUTH_ENABLED) {
+    return res.status(401).json({ error: 'Metrics token required' });
+  }
+  requireAuth(req, res, () => requirePermission('metrics')(req, res, next));
+}
+
+/**
+ * Ends a UI session and disconnects the sockets opened with it.
+ * @param {string} sessionId - Session cookie value.
+ */
+function endAuthSession(sessionId) {
+  authSessions.delete(sessionId);
+  sessions.forEach((session, ws) => {
+    if (session.authSessionId === sessionId) {
+      ws.close(4401, 'Session ended');
+    }
+  });
+}
+
+/**
+ * Drops expired UI sessions; their sockets are disconnected so clients return to the login form.
+ * Sign-in failures older than the lockout are forgotten too.
+ */
+function pruneAuthSessions() {
+  const now = Date.now();
+  authSessions.forEach((authSession, sessionId) => {
+    if (authSession.expiresAt <= now) endAuthSession(sessionId);
+  });
+  loginFailures.forEach((failures, key) => {
+    if (Math.max(failures.firstAt + LOGIN_LOCKOUT_SECONDS * 1000, failures.lockedUntil) <= now) loginFailures.delete(key);
+  });
+}
+
+/**
+ * How long sign-ins for any of the keys are still refused after too many failures.
+ * @param {string[]} keys - `ip:<address>` and `user:<name>`.
+ * @returns {number} Seconds to wait (0 when sign-in is allowed).
+ */
+function loginRetryAfter(keys) {
+  const now = Date.now();
+  const lockedUntil = Math.max(0, ...keys.map(key => (loginFailures.get(key) || { lockedUntil: 0 }).lockedUntil));
+  return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+}
+
+/**
+ * Counts a failed sign-in against each key; the LOGIN_MAX_ATTEMPTS-th failure within
+ * LOGIN_LOCKOUT_SECONDS refuses further attempts for LOGIN_LOCKOUT_SECONDS.
+ * @param {string[]} keys - `ip:<address>` and `user:<name>`.
+ */
+function recordLoginFailure(keys) {
+  const now = Date.now();
+  const windowMs = LOGIN_LOCKOUT_SECONDS * 1000;
+  keys.forEach(key => {
+    let failures = loginFailures.get(key);
+    if (!failures || (now - failures.firstAt > windowMs && failures.lockedUntil <= now)) {
+      failures = { count: 0, firstAt: now, lockedUntil: 0 };
+      loginFailures.set(key, failures);
+    }
+    failures.count++;
+    if (failures.count >= LOGIN_MAX_ATTEMPTS) {
+      failures.lockedUntil = now + windowMs;
+    }
+  });
+}
+
+// ==========================================
+// API Endpoints
+// ==========================================
+
+/**
+ * POST /api/login
+ * Checks a username and password from AUTH_USERS_FILE and starts a UI session (HttpOnly cookie).
+ * Too many failures from one IP or for one username refuse further attempts for a while (429).
+ */
+app.post('/api/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  const throttleKeys = [`ip:${req.ip}`, `user:${String(username).slice(0, 256)}`];
+  const retryAfter = loginRetryAfter(throttleKeys);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: `Too many failed sign-ins, try again in ${Math.ceil(retryAfter / 60)} min` });
+  }
+
+  const user = typeof username === 'string' ? authUsers.get(username) : undefined;
+  const valid = await verifyPassword(password || '', user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+
+  if (!user || !valid) {
+    console.warn(`Failed login for "${username}" from ${req.ip}`);
+    recordLoginFailure(throttleKeys);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  throttleKeys.forEach(key => loginFailures.delete(key));
+
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  const ttlMs = AUTH_SESSION_TTL_HOURS * 60 * 60 * 1000;
+  authSessions.set(sessionId, { principal: user.principal, expiresAt: Date.now() + ttlMs });
+
+  res.set('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(ttlMs / 1000)}${req.secure ? '; Secure' : ''}`);
+  res.json({ user: user.principal });
+});
+
+/**
+ * POST /api/logout
+ * Ends the UI session and clears its cookie.
+ */
+app.post('/api/logout', (req, res) => {
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (sessionId) endAuthSession(sessionId);
+  res.set('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  res.json({ loggedOut: true });
+});
+
+/**
+ * GET /api/session
+ * Tells the client whether it has to log in, and as whom it is logged in.
+ */
+app.get('/api/session', (req, res) => {
+  res.json({
+    authRequired: AUTH_ENABLED,
+    user: AUTH_ENABLED ? authenticate(req) : null
+  });
+});
+
+// Everything below needs an authenticated caller when authentication is enabled
+app.use('/api', requireAuth);
+
+/**
+ * GET /api/databases
+ * Returns a list of available databases (excluding system dbs).
+ */
+app.get('/api/databases', async (req, res) => {
+  try {
+    if (!mongoClient) {
+      return res.status(503).json({ error: 'MongoDB not connected' });
+    }
+    const adminDb = mongoClient.db().admin();
+    const result = await adminDb.listDatabases();
+    const databases = result.databases
+      .filter(db => !['admin', 'local', 'config'].includes(db.name))
+      .filter(db => databaseVisible(req.principal, db.name))
+      .map(db => db.name);
+    res.json(databases);
+  } catch (err) {
+    console.error('Error listing databases:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/collections/:db
+ * Returns a list of collections in the specified database.
+ * Filters out collections defined in EXCLUDED_COLLECTIONS.
+ */
+app.get('/api/collections/:db', async (req, res) => {
+  try {
+    if (!mongoClient) {
+      return res.status(503).json({ error: 'MongoDB not connected' });
+    }
+    const db = mongoClient.db(req.params.db);
+    const collections = await db.listCollections().toArray();
+    let collectionNames = collections.map(c => c.name);
+
+    // Filter out excluded collections if configured
+    if (EXCLUDED_COLLECTIONS.length > 0) {
+      collectionNames = collectionNames.filter(name => !EXCLUDED_COLLECTIONS.includes(name));
+    }
+
+    collectionNames = collectionNames.filter(name => namespaceAllowed(req.principal, `${req.params.db}.${name}`));
+
+    res.json(collectionNames);
+  } catch (err) {
+    console.error('Error listing collections:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/collections/:db/:coll/pre-images
+ * Enables changeStreamPreAndPostImages on a collection so update events carry the document before the change.
+ * Requires MongoDB 6.0+ and the collMod privilege, and the `configure` permission.
+ */
+app.post('/api/collections/:db/:coll/pre-images', requirePermission('configure'), async (req, res) => {
+  try {
+    if (!namespaceAllowed(req.principal, `${req.params.db}.${req.params.coll}`)) {
+      return res.status(403).json({ error: 'Namespace not allowed' });
+    }
+    if (!mongoClient) {
+      return res.status(503).json({ error: 'MongoDB not connected' });
+    }
+    const db = mongoClient.db(req.params.db);
+    await db.command({
+      collMod: req.params.coll,
+      changeStreamPreAndPostImages: { enabled: true }
+    });
+    console.log(`Enabled pre-images on ${req.params.db}.${req.params.coll}`);
+    res.json({ enabled: true });
+  } catch (err) {
+    console.error('Error enabling pre-images:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/** Most documents one schema sample may return */
+const MAX_SAMPLE_SIZE = 1000;
+
+/**
+ * GET /api/collections/:db/:coll/sample
+ * Returns a random sample of a collection's documents (`$sample`) for the schema panel.
+ * Query parameters:
+ * - size: number of documents (default 100, max MAX_SAMPLE_SIZE)
+ * - ejson: `relaxed` or `canonical`
+ * Redaction rules apply as for change events.
+ */
+app.get('/api/collections/:db/:coll/sample', async (req, res) => {
+  const { db, coll } = req.params;
+  const namespace = `${db}.${coll}`;
+  if (!namespaceAllowed(req.principal, namespace) || EXCLUDED_COLLECTIONS.includes(coll)) {
+    return res.status(403).json({ error: 'Namespace not allowed' });
+  }
+  if (!mongoClient) {
+    return res.status(503).json({ error: 'MongoDB not connected' });
+  }
+
+  const size = Math.min(Math.max(parseInt(req.query.size, 10) || 100, 1), MAX_SAMPLE_SIZE);
+  const mode = ['relaxed', 'canonical'].includes(req.query.ejson) ? req.query.ejson : DEFAULT_EJSON_MODE;
+
+  try {
+    const documents = await mongoClient.db(db).collection(coll).aggregate([{ $sample: { size } }]).toArray();
+    res.json({
+      namespace,
+      sampledAt: new Date().toISOString(),
+      documents: documents.map(document => {
+        const formatted = { namespace, documentKey: { _id: document._id }, document };
+        redactEvent(formatted);
+        return toExtendedJson(formatted.document, mode);
+      })
+    });
+  } catch (err) {
+    console.error(`Error sampling ${namespace}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/events
+ * Returns buffered change events, oldest first, in the same shape as WebSocket `change` messages.
+ * Query parameters:
+ * - namespace: `db.coll`, `db.*`, `*.*` or `/regex/` (default: all; see `parseEventQuery()`)
+ * - op: comma-separated operations, e.g. `insert,delete`
+ * - since: ISO date or epoch ms; only events received after it
+ * - after: event id cursor (the `nextAfter` of a previous page)
+ * - limit: page size (default 50, max 500)
+ * - ejson: `relaxed` or `canonical`
+ */
+app.get('/api/events', (req, res) => {
+  const { after, ejson } = req.query;
+
+  let query;
+  try {
+    query = parseEventQuery(req.query, req.principal);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const mode = ['relaxed', 'canonical'].includes(ejson) ? ejson : DEFAULT_EJSON_MODE;
+
+  let events = queryEvents(query).filter(e => namespaceAllowed(req.principal, e.formatted.namespace));
+
+  // Continue after the cursor; if it has been evicted, start from the oldest event still buffered
+  if (after) {
+    const index = events.findIndex(e => e.id === after);
+    if (index !== -1) events = events.slice(index + 1);
+  }
+
+  const page = events.slice(0, limit);
+  const hasMore = events.length > limit;
+  res.json({
+    events: page.map(entry => buildChangeMessage(entry, mode)),
+    hasMore,
+    nextAfter: page.length > 0 ? page[page.length - 1].id : after || null
+  });
+});
+
+/**
+ * Whether a parsed Extended JSON value still contains plain objects with `$`-prefixed keys
+ * (BSON values such as ObjectId or Date are not descended into).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function containsDollarKeys(value) {
+  if (Array.isArray(value)) return value.some(containsDollarKeys);
+  if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return false;
+  return Object.entries(value).some(([key, item]) => key.startsWith('$') || containsDollarKeys(item));
+}
+
+/**
+ * GET /api/document/:db/:coll/:id
+ * Returns the current version of one document, for the document timeline.
+ * `:id` is the document's `_id` as Extended JSON (e.g. `{"$oid":"..."}` or `42`); anything that is not JSON is taken as a string.
+ * Query parameters:
+ * - ejson: `relaxed` or `canonical`
+ * Redaction rules apply as for change events. A document that no longer exists gives `found: false`.
+ */
+app.get('/api/document/:db/:coll/:id', async (req, res) => {
+  const { db, coll } = req.params;
+  const namespace = `${db}.${coll}`;
+  if (!namespaceAllowed(req.principal, namespace) || EXCLUDED_COLLECTIONS.includes(coll)) {
+    return res.status(403).json({ error: 'Namespace not allowed' });
+  }
+  if (!mongoClient) {
+    return res.status(503).json({ error: 'MongoDB not connected' });
+  }
+
+  let id;
+  try {
+    id = BSON.EJSON.parse(req.params.id);
+  } catch (err) {
+    id = req.params.id;
+  }
+  // Type wrappers like `$oid` are already parsed into BSON values; any `$` key left would be a query operator
+  if (containsDollarKeys(id)) {
+    return res.status(400).json({ error: 'Document id must be a value, not a query' });
+  }
+  const mode = ['relaxed', 'canonical'].includes(req.query.ejson) ? req.query.ejson : DEFAULT_EJSON_MODE;
+
+  try {
+    const document = await mongoClient.db(db).collection(coll).findOne({ _id: { $eq: id } });
+    const fetchedAt = new Date().toISOString();
+    if (!document) {
+      return res.json({ namespace, found: false, fetchedAt });
+    }
+
+    // Same treatment as the document of a change event
+    const formatted = { namespace, documentKey: { _id: document._id }, document };
+    redactEvent(formatted);
+    res.json({
+      namespace,
+      found: true,
+      fetchedAt,
+      redacted: formatted.redacted || null,
+      yaml: toYaml(formatted.document),
+      json: toExtendedJson(formatted.document, mode),
+      ejson: mode
+    });
+  } catch (err) {
+    console.error(`Error fetching document from ${namespace}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/export
+ * Downloads buffered change events as a file.
+ * Accepts the `namespace`, `op` and `since` filters of /api/events, plus:
+ * - format: `ndjson` (default), `csv` or `mongoimport`
+ * - columns: comma-separated CSV columns (default: all)
+ * Requires the `export` permission; only namespaces the caller may watch are included.
+ */
+app.get('/api/export', requirePermission('export'), (req, res) => {
+  const format = req.query.format || 'ndjson';
+  if (req.query.columns !== undefined && typeof req.query.columns !== 'string') {
+    return res.status(400).json({ error: 'columns must be given once, as a comma-separated list' });
+  }
+  const columns = req.query.columns ? req.query.columns.split(',').map(c => c.trim()).filter(Boolean) : null;
+
+  let file;
+  try {
+    const entries = queryEvents(parseEventQuery(req.query, req.principal)).filter(e => namespaceAllowed(req.principal, e.formatted.namespace));
+    file = exportEvents(entries, format, columns);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  sendExport(res, file);
+});
+
+/**
+ * POST /api/export
+ * Downloads the buffered events a client picked (its current view or selection), in the formats of GET /api/export.
+ * JSON body: `ids` (event ids), `format` and `columns` (array). Events the server no longer holds are left out;
+ * the `X-Missing-Events` header counts them.
+ */
+app.post('/api/export', requirePermission('export'), (req, res) => {
+  const { ids, format = 'ndjson', columns = null } = req.body || {};
+  if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) {
+    return res.status(400).json({ error: 'ids must be a list of event ids' });
+  }
+  if (columns !== null && (!Array.isArray(columns) || !columns.every(c => typeof c === 'string'))) {
+    return res.status(400).json({ error: 'columns must be a list of column names' });
+  }
+
+  let file;
+  let entries;
+  try {
+    entries = queryEvents({ ids: new Set(ids) }).filter(e => namespaceAllowed(req.principal, e.formatted.namespace));
+    file = exportEvents(entries, format, columns);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.set('X-Missing-Events', String(new Set(ids).size - entries.length));
+  sendExport(res, file);
+});
+
+/**
+ * Sends an export file as a download.
+ * @param {Response} res - Express response.
+ * @param {{content: string, contentType: string, extension: string}} file - Output of `exportEvents()`.
+ */
+function sendExport(res, file) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.set('Content-Type', `${file.contentType}; charset=utf-8`);
+  res.set('Content-Disposition', `attachment; filename="mongo-tv-${stamp}.${file.extension}"`);
+  res.send(file.content);
+}
+
+/**
+ * GET /api/webhooks
+ * Returns the delivery status of the webhook sinks the caller may see.
+ */
+app.get('/api/webhooks', (req, res) => {
+  res.json(webhookSinks
+    .filter(sink => sink.namespaces.every(ns => namespaceAllowed(req.principal, ns)))
+    .map(webhookSummary));
+});
+
+/**
+ * GET /metrics
+ * Prometheus metrics. Requires METRICS_TOKEN, or an operator's token or session when authentication is enabled.
+ */
+app.get('/metrics', requireMetricsAccess, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+/**
+ * GET /healthz
+ * Liveness: the process is up and serving requests. Open to orchestrators without authentication.
+ */
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - metrics.startedAt) / 1000) });
+});
+
+/**
+ * GET /readyz
+ * Readiness: 200 when MongoDB is reachable, supports change streams and neither the default target's
+ * nor a webhook's stream is failing; 503 otherwise.
+ * Open to orchestrators without authentication.
+ */
+app.get('/readyz', (req, res) => {
+  const result = readiness();
+  res.status(result.ready ? 200 : 503).json(result);
+});
+
+/**
+ * GET /api/diagnostics
+ * Why the screen might be empty: connectivity, deployment type, stream states, last event, oplog window
+ * and privilege checks. `?refresh=1` skips the cached probe results; it is ignored for callers without
+ * the `configure` permission, since each probe opens a change stream.
+ */
+app.get('/api/diagnostics', async (req, res) => {
+  try {
+    const refresh = req.query.refresh === '1' && hasPermission(req.principal, 'configure');
+    res.json(await collectDiagnostics(req.principal, refresh));
+  } catch (err) {
+    console.error('Error collecting diagnostics:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/config
+ * Returns public configuration settings for the client.
+ */
+app.get('/api/config', (req, res) => {
+  res.json({
+    hasFixedCollection: !!(MONGODB_DATABASE && MONGODB_COLLECTION),
+    watching: describeTarget(MONGODB_DATABASE, MONGODB_COLLECTION),
+    defaultContentFormat: DEFAULT_CONTENT_FORMAT,
+    defaultLayoutMode: DEFAULT_LAYOUT_MODE,
+    defaultEjsonMode: DEFAULT_EJSON_MODE,
+    historyRetention: HISTORY_RETENTION,
+    webhooks: webhookSinks.length > 0,
+    pollingMode: POLLING_MODE,
+    appTitle: process.env.APP_TITLE
+  });
+});
+
+// ==========================================
+// Core Logic
+// ==========================================
+
+/**
+ * Returns what to open a change stream on for a target: a collection, a database or the whole deployment.
+ * @param {string} [database] - Database name.
+ * @param {string} [collection] - Collection name, '*' for the whole database.
+ * @returns {Collection|Db|MongoClient} Object with a `watch()` method.
+ */
+function changeStreamSource(database, collection) {
+  if (database && collection && collection !== '*') {
+    return mongoClient.db(database).collection(collection);
+  }
+  if (database) {
+    return mongoClient.db(database);
+  }
+  return mongoClient;
+}
+
+/**
+ * Relays one change event of a watcher to its panes, the shared history, metrics and webhook sinks.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @param {Object} change - Change event (from the change stream, or built by polling).
+ * @param {bigint} receivedAt - `process.hrtime.bigint()` when the event arrived, for the latency histogram.
+ */
+function relayChange(watcher, change, receivedAt) {
+  try {
+    const formatted = formatChangeEvent(change);
+    // Invalidate events carry no namespace
+    if (!change.ns) formatted.namespace = watcher.description;
+    const entry = createEventEntry(change, formatted);
+
+    // A pane's own stream (see `acquireWatcher()`) replays events that happened before it was opened:
+    // keep them out of the metrics and the shared history. Projected events are incomplete, keep them out of the history too.
+    if (watcher.shared) {
+      recordEventMetric(entry);
+      if (!watcher.filter || !watcher.filter.fields) {
+        bufferEvent(entry);
+      }
+    }
+    // Lifecycle events reach every stream (see `compileFilterPipeline()`) but are only shown when the filter selects them
+    if (!watcher.filter || !watcher.filter.operationTypes || watcher.filter.operationTypes.includes(change.operationType)) {
+      broadcastChange(entry, watcher.subscribers);
+    }
+    observeBroadcastLatency(Number(process.hrtime.bigint() - receivedAt) / 1e9);
+    watcher.sinks.forEach(sink => enqueueWebhook(sink, entry));
+  } catch (err) {
+    // A document we can't serialize must not take the stream (or the server) down
+    console.error(`Failed to format change event (${watcher.description}):`, err.message);
+  }
+}
+
+/**
+ * Opens the change stream for a shared watcher and relays its events to the watcher's subscribers.
+ * Resumes from the last persisted token for this target when one exists.
+ * Polls instead when change streams are unavailable (see `usePolling()`).
+ * @param {Object} watcher - Entry from the `watchers` map.
+ */
+function startWatching(watcher) {
+  if (usePolling()) {
+    startPolling(watcher);
+    return;
+  }
+
+  const { key, database, collection, description } = watcher;
+  const watchTarget = changeStreamSource(database, collection);
+
+  // Create change stream with full document lookup
+  const pipeline = [];
+  const options = {
+    fullDocument: 'updateLookup',
+    fullDocumentBeforeChange: 'whenAvailable'
+  };
+
+  // Keep the token store's own writes out of the stream
+  if (RESUME_TOKEN_STORE === 'mongodb') {
+    const [tokenDb, ...tokenColl] = RESUME_TOKEN_COLLECTION.split('.');
+    pipeline.push({ $match: { $nor: [{ 'ns.db': tokenDb, 'ns.coll': tokenColl.join('.') }] } });
+  }
+
+  // Watch lists are opened on a database or the deployment and narrowed down here
+  if (watcher.namespaces) {
+    pipeline.push(compileNamespaceMatch(watcher.namespaces));
+  }
+
+  // Server-side filter stages selected by the client
+  pipeline.push(...watcher.pipeline);
+
+  // Pick up where we left off (startAfter also accepts tokens from invalidate events);
+  // otherwise start where the pane asked to
+  const saved = resumeTokens.get(key);
+  if (saved) {
+    options.startAfter = saved.token;
+    console.log(`Watching: ${description} (resuming from ${saved.savedAt})`);
+  } else if (watcher.startFrom) {
+    if (watcher.startFrom.resumeToken) {
+      options.startAfter = watcher.startFrom.resumeToken;
+    } else {
+      options.startAtOperationTime = watcher.startFrom.operationTime;
+    }
+    console.log(`Watching: ${description} (starting from ${watcher.startFrom.label})`);
+  } else {
+    console.log(`Watching: ${description}`);
+  }
+
+  const stream = watchTarget.watch(pipeline, options);
+  watcher.stream = stream;
+
+  if (watcher.catchUp) {
+    armCatchUpTimer(watcher);
+  }
+
+  if (saved) {
+    notifySubscribers(watcher, {
+      type: 'status',
+      status: 'resumed',
+      watching: description,
+      filter: watcher.filter,
+      resumedFrom: saved.savedAt
+    });
+  }
+
+  // Listen for changes
+  stream.on('change', (change) => {
+    const receivedAt = process.hrtime.bigint();
+    saveResumeToken(key, change._id);
+
+    if (watcher.catchUp) {
+      trackCatchUp(watcher, change);
+    }
+
+    // Remember why the stream is about to be invalidated
+    if (['drop', 'rename', 'dropDatabase'].includes(change.operationType)) {
+      watcher.ending = {
+        reason: change.operationType,
+        renamedTo: change.to ? { database: change.to.db, collection: change.to.coll } : null
+      };
+    }
+
+    relayChange(watcher, change, receivedAt);
+
+    if (change.operationType === 'invalidate') {
+      handleInvalidate(watcher, stream);
+    }
+  });
 
-/** Description of the current watch target (for UI display) */
-let currentWatchDescription = '';
+  stream.on('error', (err) => {
+    console.error(`Change stream error (${description}):`, err.message);
+    incrementTargetCounter(metrics.streamErrors, description);
+    watcher.lastError = { message: err.message, at: new Date().toISOString() };
 
-// ==========================================
-// Helper Functions
-// ==========================================
+    // Ignore errors from a stream we have already replaced or closed
+    if (watcher.stream !== stream) {
+      notifySubscribers(watcher, { type: 'error', message: err.message });
+      return;
+    }
+    watcher.stream = null;
+    stream.close().catch(() => {});
 
-/**
- * Broadcasts a data object to all connected WebSocket clients.
- * @param {Object} data - The payload to send.
- */
-function broadcast(data) {
-  const message = JSON.stringify(data);
-  clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+    if (isRejectedFilter(watcher, err)) {
+      rejectFilter(watcher, err);
+      return;
+    }
+    notifySubscribers(watcher, {
+      type: 'error',
+      message: err.message
+    });
+
+    // The requested start point is unusable (older than the oplog window, or a token the server rejects): watch live instead
+    // 260: InvalidResumeToken, 280: ChangeStreamFatalError
+    if (watcher.startFrom && !resumeTokens.has(key) && (isHistoryLost(err) || [260, 280].includes(err.code))) {
+      const reason = isHistoryLost(err) ? 'it is older than the oplog window' : err.message;
+      notifySubscribers(watcher, {
+        type: 'error',
+        message: `Cannot start from ${watcher.startFrom.label}: ${reason}. Watching live events instead.`
+      });
+      watcher.startFrom = null;
+      finishCatchUp(watcher);
+    } else if (isHistoryLost(err)) {
+      // The token fell off the oplog: start fresh and tell clients events were lost
+      deleteResumeToken(key);
+      notifySubscribers(watcher, {
+        type: 'status',
+        status: 'gap',
+        watching: description,
+        filter: watcher.filter,
+        message: 'Resume point is no longer in the oplog; some events were lost'
+      });
     }
+
+    scheduleRestart(watcher);
   });
 }
 
 /**
- * Formats a raw MongoDB change event into a cleaner structure for the client.
- * @param {Object} change - The raw change stream event.
- * @returns {Object} A formatted event object.
+ * Server error codes for a `$match` MongoDB refuses to parse: BadValue, FailedToParse, TypeMismatch
+ * and an invalid `$regex` pattern
  */
-function formatChangeEvent(change) {
-  const operationMap = {
-    'insert': 'INSERT',
-    'update': 'UPDATE',
-    'replace': 'REPLACE',
-    'delete': 'DELETE',
-    'drop': 'DROP',
-    'invalidate': 'INVALIDATE'
-  };
+const REJECTED_PIPELINE_CODES = [2, 9, 14, 51091];
 
-  const formatted = {
-    operation: operationMap[change.operationType] || change.operationType.toUpperCase(),
-    timestamp: new Date().toISOString(),
-    namespace: `${change.ns?.db || 'unknown'}.${change.ns?.coll || 'unknown'}`,
-    documentKey: change.documentKey,
-  };
+/**
+ * Whether a change stream error means MongoDB refuses the watcher's filter, so retrying cannot help.
+ * Only query validation errors count; anything else (e.g. Unauthorized) takes the normal restart path.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @param {Error} err - Error emitted by the change stream.
+ * @returns {boolean}
+ */
+function isRejectedFilter(watcher, err) {
+  return !!watcher.filter && REJECTED_PIPELINE_CODES.includes(err.code);
+}
 
-  // Include full document for inserts/updates/replaces
-  if (change.fullDocument) {
-    formatted.document = change.fullDocument;
+/**
+ * Detaches the panes from a watcher whose filter MongoDB refused, telling each once, and stops retrying it.
+ * Webhook sinks keep the watcher and its retries, since they have no one to tell.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @param {Error} err - The server's error.
+ */
+function rejectFilter(watcher, err) {
+  console.error(`Filter rejected by MongoDB (${watcher.description}):`, err.message);
+  notifySubscribers(watcher, {
+    type: 'error',
+    message: `MongoDB rejected the filter: ${err.message}. Change the filter to watch ${watcher.description} again.`
+  });
+  for (const subscription of [...watcher.subscribers]) {
+    unsubscribe(subscription).catch(e => console.error('Failed to detach pane:', e.message));
   }
-
-  // Include update description for updates
-  if (change.updateDescription) {
-    formatted.updates = change.updateDescription;
+  if (watcher.sinks.length > 0) {
+    scheduleRestart(watcher);
   }
+}
 
-  return formatted;
+/**
+ * Status message telling a watcher's panes that its stream ended because what it watches was dropped or renamed.
+ * @param {Object} watcher - An invalidated entry from the `watchers` map.
+ * @returns {Object} `invalidated` status (without the pane).
+ */
+function invalidatedStatus(watcher) {
+  const { reason, renamedTo, at, action } = watcher.invalidated;
+  return {
+    type: 'status',
+    status: 'invalidated',
+    watching: watcher.description,
+    filter: watcher.filter,
+    reason,
+    renamedTo,
+    invalidatedAt: at,
+    action
+  };
 }
 
 /**
- * Prepares an object for YAML display by handling BSON types.
- * @param {Object} obj - The object to clean.
- * @returns {Object} The cleaned object.
+ * Handles the end of a watcher's change stream after its collection or database was dropped or renamed.
+ * The panes are told; then, depending on INVALIDATE_ACTION, the stream is reopened on the same namespace,
+ * the panes follow a renamed collection to its new name, or nothing happens until a pane asks for either.
+ * Watchers that feed webhooks are always reopened, since no one would be there to ask.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @param {ChangeStream} stream - The stream that delivered the invalidate event.
  */
-function cleanForYaml(obj) {
-  if (!obj) return obj;
+function handleInvalidate(watcher, stream) {
+  if (watcher.stream !== stream) return;
+  watcher.stream = null;
+  stream.close().catch(() => {});
 
-  // Handle BSON Binary
-  if (obj._bsontype === 'Binary') {
-    return obj.buffer;
-  }
+  const { reason, renamedTo } = watcher.ending || { reason: 'invalidate', renamedTo: null };
+  watcher.ending = null;
 
-  // Handle BSON ObjectId
-  if (obj._bsontype === 'ObjectId') {
-    return obj.toString();
+  // A collection locked by the environment is never left for another one
+  const locked = MONGODB_DATABASE && MONGODB_COLLECTION;
+  let action = INVALIDATE_ACTION;
+  if (action === 'follow' && (!renamedTo || locked)) {
+    action = 'rewatch';
+  } else if (action === 'prompt' && watcher.sinks.length > 0) {
+    action = 'rewatch';
   }
 
-  // Recursive array handling
-  if (Array.isArray(obj)) {
-    return obj.map(cleanForYaml);
-  }
+  watcher.invalidated = { reason, renamedTo, at: new Date().toISOString(), action };
+  console.log(`Change stream invalidated (${watcher.description}): ${reason}${renamedTo ? ` to ${renamedTo.database}.${renamedTo.collection}` : ''}`);
+  incrementTargetCounter(metrics.streamInvalidations, watcher.description);
+  notifySubscribers(watcher, invalidatedStatus(watcher));
 
-  // Recursive object handling
-  if (typeof obj === 'object' && !(obj instanceof Date) && !Buffer.isBuffer(obj)) {
-    const newObj = {};
-    for (const key in obj) {
-      newObj[key] = cleanForYaml(obj[key]);
-    }
-    return newObj;
+  if (action === 'follow') {
+    followRename(watcher);
+  } else if (action === 'rewatch') {
+    rewatch(watcher);
   }
+}
 
-  return obj;
+/**
+ * Reopens an invalidated watcher's change stream on the same namespace, after the invalidate event
+ * (a dropped collection is picked up again once it is recreated).
+ * @param {Object} watcher - Entry from the `watchers` map.
+ */
+function rewatch(watcher) {
+  if (!watcher.invalidated || watchers.get(watcher.key) !== watcher) return;
+  watcher.invalidated = null;
+  try {
+    startWatching(watcher);
+  } catch (err) {
+    console.error(`Failed to re-watch ${watcher.description}:`, err.message);
+    scheduleRestart(watcher);
+  }
 }
 
 /**
- * Converts an object to a YAML string.
- * @param {Object} obj - The object to convert.
- * @returns {string} The YAML string.
+ * Moves the panes of an invalidated watcher to the collection it was renamed to.
+ * Panes that cannot move (e.g. the new name is outside their allowed namespaces) are told, and stay
+ * on the old namespace, which is re-watched for them. Webhook sinks always stay and are re-watched too.
+ * @param {Object} watcher - Entry from the `watchers` map.
  */
-function toYaml(obj) {
-  return yaml.dump(cleanForYaml(obj), {
-    indent: 2,
-    lineWidth: -1,
-    noRefs: true,
-    sortKeys: false
+function followRename(watcher) {
+  const { database, collection } = watcher.invalidated.renamedTo;
+  const renamed = describeTarget(database, collection);
+  const moves = [...watcher.subscribers].map(async (subscription) => {
+    const { ws, pane, filter } = subscription;
+    try {
+      await subscribe(ws, pane, { database, collection }, filter);
+    } catch (err) {
+      console.error(`Failed to follow rename of ${watcher.description} to ${renamed}:`, err.message);
+    }
+    // A pane that was moved is attached elsewhere now; one that was refused is still here
+    if (subscription.watcher !== watcher) return true;
+    queueMessage(ws, pane, JSON.stringify({
+      type: 'status',
+      pane,
+      status: 'followFailed',
+      watching: watcher.description,
+      database: watcher.database,
+      collection: watcher.collection,
+      message: `Could not follow the rename to ${renamed}; watching ${watcher.description} again instead`
+    }));
+    return false;
   });
-}
 
-// ==========================================
-// API Endpoints
-// ==========================================
+  Promise.all(moves).then(results => {
+    if (results.includes(false) || watcher.sinks.length > 0) rewatch(watcher);
+  });
+}
 
 /**
- * GET /api/databases
- * Returns a list of available databases (excluding system dbs).
+ * Reopens a failed watcher's change stream after a delay, as long as someone still watches it.
+ * @param {Object} watcher - Entry from the `watchers` map.
  */
-app.get('/api/databases', async (req, res) => {
-  try {
-    if (!mongoClient) {
-      return res.status(503).json({ error: 'MongoDB not connected' });
+function scheduleRestart(watcher) {
+  if (watcher.retryTimer) return;
+  watcher.retryTimer = setTimeout(() => {
+    watcher.retryTimer = null;
+    if (watchers.get(watcher.key) !== watcher || watcher.stream || watcher.poller) return;
+    incrementTargetCounter(metrics.streamRestarts, watcher.description);
+    try {
+      startWatching(watcher);
+    } catch (err) {
+      console.error(`Failed to restart change stream (${watcher.description}):`, err.message);
+      scheduleRestart(watcher);
     }
-    const adminDb = mongoClient.db().admin();
-    const result = await adminDb.listDatabases();
-    const databases = result.databases
-      .filter(db => !['admin', 'local', 'config'].includes(db.name))
-      .map(db => db.name);
-    res.json(databases);
-  } catch (err) {
-    console.error('Error listing databases:', err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+  }, STREAM_RETRY_DELAY_MS);
+}
 
 /**
- * GET /api/collections/:db
- * Returns a list of collections in the specified database.
- * Filters out collections defined in EXCLUDED_COLLECTIONS.
+ * Closes a watcher's change stream and forgets it.
+ * @param {Object} watcher - Entry from the `watchers` map.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.keepToken=false] - Keep the resume token so the next start resumes (used on shutdown).
  */
-app.get('/api/collections/:db', async (req, res) => {
-  try {
-    if (!mongoClient) {
-      return res.status(503).json({ error: 'MongoDB not connected' });
-    }
-    const db = mongoClient.db(req.params.db);
-    const collections = await db.listCollections().toArray();
-    let collectionNames = collections.map(c => c.name);
+async function stopWatching(watcher, { keepToken = false } = {}) {
+  watchers.delete(watcher.key);
+  clearTimeout(watcher.retryTimer);
+  watcher.retryTimer = null;
+  if (watcher.catchUp) clearTimeout(watcher.catchUp.idleTimer);
+  stopPolling(watcher);
 
-    // Filter out excluded collections if configured
-    if (EXCLUDED_COLLECTIONS.length > 0) {
-      collectionNames = collectionNames.filter(name => !EXCLUDED_COLLECTIONS.includes(name));
-    }
+  // Nobody is watching anymore; the next subscriber should start live, not replay the gap.
+  // A pane's own watcher is never asked for again after a restart, so its token goes too.
+  if (!keepToken || !watcher.shared) {
+    deleteResumeToken(watcher.key);
+  }
 
-    res.json(collectionNames);
-  } catch (err) {
-    console.error('Error listing collections:', err.message);
-    res.status(500).json({ error: err.message });
+  if (watcher.stream) {
+    const stream = watcher.stream;
+    watcher.stream = null;
+    console.log(`Stopped watching: ${watcher.description}`);
+    await stream.close();
   }
-});
+}
 
 /**
- * GET /api/config
- * Returns public configuration settings for the client.
+ * Detaches a pane from its current watcher.
+ * The underlying change stream is closed once nobody is subscribed to it anymore.
+ * @param {Object} subscription - The pane (see `sessions`).
  */
-app.get('/api/config', (req, res) => {
-  res.json({
-    hasFixedCollection: !!(MONGODB_DATABASE && MONGODB_COLLECTION),
-    watching: currentWatchDescription,
-    defaultContentFormat: DEFAULT_CONTENT_FORMAT,
-    defaultLayoutMode: DEFAULT_LAYOUT_MODE,
-    appTitle: process.env.APP_TITLE
-  });
-});
+async function unsubscribe(subscription) {
+  const watcher = subscription.watcher;
+  if (!watcher) return;
 
-// ==========================================
-// Core Logic
-// ==========================================
+  subscription.watcher = null;
+  watcher.subscribers.delete(subscription);
+
+  if (watcher.subscribers.size === 0 && watcher.sinks.length === 0) {
+    await stopWatching(watcher);
+  }
+}
 
 /**
- * Starts watching a target (Collection, Database, or Deployment).
- * Closes the existing stream if one exists.
- * @param {string} [database] - Database name (optional).
- * @param {string} [collection] - Collection name (optional). ' *' for db watch.
+ * Returns the shared watcher for a target and filter, creating (but not starting) it if needed.
+ * With a start point a new watcher is always created, just for the pane asking.
+ * @param {Object} target - Output of `resolveTarget()`.
+ * @param {Object|null} filter - Normalized filter.
+ * @param {Object|null} [startFrom] - Output of `normalizeStartFrom()`.
+ * @returns {{watcher: Object, isNew: boolean}} The watcher, and whether its stream still has to be started.
  */
-async function startWatching(database, collection) {
-  // Close existing change stream
-  if (currentChangeStream) {
-    await currentChangeStream.close();
-    currentChangeStream = null;
+function acquireWatcher(target, filter, startFrom = null) {
+  const { database, collection, namespaces, description } = target;
+  let key = watchKey(description, filter);
+  if (startFrom) {
+    key = `${key} from ${startFrom.label} #${++startPointWatchers}`;
   }
 
-  // Determine what to watch
-  let watchTarget;
-  let watchDescription;
-
-  if (database && collection && collection !== '*') {
-    watchTarget = mongoClient.db(database).collection(collection);
-    watchDescription = `${database}.${collection}`;
-  } else if (database) {
-    watchTarget = mongoClient.db(database);
-    watchDescription = `${database}.*`;
-  } else {
-    watchTarget = mongoClient;
-    watchDescription = '*.*';
+  let watcher = watchers.get(key);
+  const isNew = !watcher;
+  if (isNew) {
+    watcher = {
+      key,
+      description,
+      database,
+      collection,
+      namespaces,
+      filter,
+      pipeline: compileFilterPipeline(filter),
+      stream: null,
+      subscribers: new Set(),
+      sinks: [],
+      retryTimer: null,
+      /** `{positions, timer, lastError}` while polling instead of streaming (see `startPolling()`) */
+      poller: null,
+      /** Last drop/rename seen, until the invalidate event that follows it */
+      ending: null,
+      /** `{reason, renamedTo, at}` while the stream is ended by a drop or rename */
+      invalidated: null,
+      /** `{message, at}` of the last stream error, for diagnostics */
+      lastError: null,
+      shared: !startFrom,
+      startFrom,
+      /** While replaying from `startFrom`: `{until, position, notifiedAt, idleTimer}` (see `trackCatchUp()`) */
+      catchUp: startFrom ? { until: Date.now(), position: null, notifiedAt: 0, idleTimer: null } : null
+    };
+    watchers.set(key, watcher);
   }
+  return { watcher, isNew };
+}
 
-  currentWatchDescription = watchDescription;
-  console.log(`Watching: ${watchDescription}`);
+/**
+ * Points one of a client's panes at a watch target (Collection, Database, Deployment or a watch list).
+ * The pane is created on first use. Reuses an existing change stream when another pane already watches
+ * the same target with the same filter. If MongoDB is not connected yet, the target is remembered and attached once it is.
+ * Targets outside the client's allowed namespaces are refused with an error message.
+ * @param {WebSocket} ws - The client socket.
+ * @param {string} pane - Pane id chosen by the client.
+ * @param {Object} target
+ * @param {string} [target.database] - Database name (optional).
+ * @param {string} [target.collection] - Collection name (optional). '*' for db watch.
+ * @param {string[]|null} [target.namespaces] - Watch list (see `normalizeNamespaces()`).
+ * @param {Object} [filter] - Server-side filter (see `normalizeFilter()`).
+ * @param {Object|null} [startFrom] - Start point (output of `normalizeStartFrom()`); the pane then gets a stream of its own.
+ * @throws {Error} If the filter is invalid; the pane keeps its current subscription.
+ */
+async function subscribe(ws, pane, { database, collection, namespaces = null }, filter, startFrom = null) {
+  const session = sessions.get(ws);
+  if (!session) return;
 
-  // Create change stream with full document lookup
-  const pipeline = [];
-  const options = {
-    fullDocument: 'updateLookup',
-    fullDocumentBeforeChange: 'whenAvailable'
+  const sendError = (message) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'error', pane, message }));
+    }
   };
 
-  currentChangeStream = watchTarget.watch(pipeline, options);
+  const normalizedFilter = normalizeFilter(filter);
+  const target = resolveTarget(database, collection, namespaces);
 
-  // Broadcast connection info to clients
-  broadcast({
-    type: 'status',
-    status: 'connected',
-    watching: watchDescription
-  });
+  // Targets outside the client's allowed namespaces are refused; the pane's current stream keeps running.
+  // A regex entry could match anything, so it needs access to every namespace.
+  const denied = (target.namespaces || [target.description]).find(entry => !namespaceAllowed(session.principal, entry));
+  if (denied) {
+    sendError(`Not allowed to watch ${denied}`);
+    return;
+  }
 
-  // Listen for changes
-  currentChangeStream.on('change', (change) => {
-    const formatted = formatChangeEvent(change);
+  // Polling only sees the collections as they are now
+  if (startFrom && mongoConnected && usePolling()) {
+    sendError(`Cannot start from ${startFrom.label}: polling mode only shows changes from now on`);
+    startFrom = null;
+  }
 
-    // Determine what to show in the YAML view (payload only)
-    let payload = {};
-    if (formatted.document) {
-      payload = formatted.document;
-    } else if (formatted.updates) {
-      payload = formatted.updates;
-    } else {
-      payload = { documentKey: formatted.documentKey };
+  // A start time older than the oplog window would only fail once the stream opens
+  if (startFrom && startFrom.operationTime && mongoConnected) {
+    const oplog = await measureOplogWindow();
+    if (oplog.firstAt && startFrom.operationTime.t * 1000 < Date.parse(oplog.firstAt)) {
+      sendError(`Cannot start from ${startFrom.label}: the oplog only goes back to ${oplog.firstAt} (${oplog.hours} hours)`);
+      return;
+    }
+  }
+
+  let subscription = session.panes.get(pane);
+  if (!subscription) {
+    if (session.panes.size >= MAX_WATCH_PANES) {
+      sendError(`At most ${MAX_WATCH_PANES} panes can be open at once`);
+      return;
     }
+    subscription = { ws, pane, target, filter: null, startFrom: null, watcher: null };
+    session.panes.set(pane, subscription);
+  }
 
-    const yamlContent = toYaml(payload);
+  const key = watchKey(target.description, normalizedFilter);
+  subscription.target = target;
+  subscription.filter = normalizedFilter;
+  subscription.startFrom = startFrom;
 
-    broadcast({
-      type: 'change',
-      operation: formatted.operation,
-      namespace: formatted.namespace,
-      timestamp: formatted.timestamp,
-      yaml: yamlContent,
-      json: cleanForYaml(payload),
-      raw: formatted
-    });
-  });
+  // Already attached to this target and filter, nothing to re-target
+  if (!startFrom && subscription.watcher && subscription.watcher.key === key) {
+    return;
+  }
 
-  currentChangeStream.on('error', (err) => {
-    console.error('Change stream error:', err.message);
-    broadcast({
-      type: 'error',
-      message: err.message
-    });
-  });
+  await unsubscribe(subscription);
+
+  // The pane was closed or re-targeted by a newer request while we waited; that request attaches it
+  if (session.panes.get(pane) !== subscription || subscription.target !== target || subscription.filter !== normalizedFilter || subscription.startFrom !== startFrom) {
+    return;
+  }
+
+  if (!mongoConnected) return;
+
+  const { watcher, isNew } = acquireWatcher(target, normalizedFilter, startFrom);
+  watcher.subscribers.add(subscription);
+  subscription.watcher = watcher;
+
+  // Events of the previous target still waiting in the outbox go out first
+  flushOutbox(ws);
+
+  // Tell this pane what it is now watching
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'status',
+      pane,
+      status: 'connected',
+      watching: target.description,
+      namespaces: target.namespaces,
+      filter: normalizedFilter,
+      startFrom: startFrom ? startFrom.label : null,
+      polling: usePolling()
+    }));
+  }
+
+  // A pane starting in the past gets its history from the stream itself
+  if (!startFrom) {
+    replayBacklog(subscription);
+  }
+
+  if (isNew) {
+    startWatching(watcher);
+  } else if (watcher.invalidated && ws.readyState === WebSocket.OPEN) {
+    // Joined a stream that is waiting for someone to re-watch or follow
+    ws.send(JSON.stringify({ pane, ...invalidatedStatus(watcher) }));
+  }
+}
+
+/**
+ * Closes one of a client's panes and releases its watcher.
+ * @param {WebSocket} ws - The client socket.
+ * @param {string} pane - Pane id.
+ */
+async function closePane(ws, pane) {
+  const session = sessions.get(ws);
+  const subscription = session && session.panes.get(pane);
+  if (!subscription) return;
+
+  session.panes.delete(pane);
+  await unsubscribe(subscription);
+}
+
+/**
+ * Sets `deployment` from `describeDeployment()`. If the probe fails it is retried in the background
+ * until it succeeds; meanwhile the deployment type counts as unknown.
+ */
+async function probeDeployment() {
+  try {
+    deployment = await describeDeployment();
+    console.log(`Deployment: ${deployment.type}${deployment.setName ? ` (${deployment.setName})` : ''}${deployment.version ? `, MongoDB ${deployment.version}` : ''}`);
+    if (deployment.type === 'standalone') {
+      console.warn(usePolling()
+        ? 'Change streams need a replica set or sharded cluster; this deployment is standalone, polling instead (POLLING_MODE)'
+        : 'Change streams need a replica set or sharded cluster; this deployment is standalone (set POLLING_MODE=auto to poll instead)');
+    }
+  } catch (err) {
+    console.error(`Could not determine deployment type, retrying in ${STREAM_RETRY_DELAY_MS}ms:`, err.message);
+    setTimeout(() => {
+      if (mongoConnected && !deployment) probeDeployment();
+    }, STREAM_RETRY_DELAY_MS);
+  }
 }
 
 /**
@@ -330,20 +4101,48 @@ async function connectMongoDB() {
 
   mongoClient = new MongoClient(MONGODB_URI, { family: 4 });
 
+  // Track whether a usable server is reachable, for /metrics
+  mongoClient.on('topologyDescriptionChanged', ({ newDescription }) => {
+    mongoReachable = [...newDescription.servers.values()].some(server =>
+      ['RSPrimary', 'RSSecondary', 'Standalone', 'Mongos', 'LoadBalancer'].includes(server.type));
+  });
+
   try {
     await mongoClient.connect();
+    mongoConnected = true;
     console.log('Connected to MongoDB');
 
-    // Start watching based on env config
-    await startWatching(MONGODB_DATABASE, MONGODB_COLLECTION);
+    // Resume tokens from a previous run or a failed connection attempt
+    await loadResumeTokens();
+
+    await probeDeployment();
+
+    attachWebhookSinks();
+
+    // Attach panes that were opened while MongoDB was still coming up
+    for (const [ws, session] of sessions) {
+      for (const [pane, subscription] of session.panes) {
+        await subscribe(ws, pane, subscription.target, subscription.filter, subscription.startFrom);
+      }
+    }
 
-    // Handle process termination gracefully
-    process.on('SIGINT', async () => {
+    // Handle process termination gracefully (SIGTERM is what `docker stop` sends)
+    const shutdown = async () => {
       console.log('\nShutting down...');
-      if (currentChangeStream) await currentChangeStream.close();
+      for (const watcher of [...watchers.values()]) {
+        await stopWatching(watcher, { keepToken: true });
+      }
+      await flushResumeTokens();
+      if (EVENT_BUFFER_FILE) await flushEventBuffer();
+      await deadLetterPendingWebhooks();
       if (mongoClient) await mongoClient.close();
       process.exit(0);
-    });
+    };
+    if (!shutdownHandlersInstalled) {
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+      shutdownHandlersInstalled = true;
+    }
 
   } catch (err) {
     console.error('MongoDB connection error:', err.message);
@@ -361,34 +4160,143 @@ async function connectMongoDB() {
 // WebSocket Handlers
 // ==========================================
 
-wss.on('connection', (ws) => {
+/**
+ * Removes a client and releases the watch subscriptions of all its panes.
+ * @param {WebSocket} ws - The client socket.
+ */
+function removeClient(ws) {
+  clients.delete(ws);
+  const session = sessions.get(ws);
+  if (session) clearTimeout(session.outbox.timer);
+  Promise.all(session ? [...session.panes.values()].map(unsubscribe) : [])
+    .catch(err => console.error('Error closing change stream:', err.message))
+    .finally(() => sessions.delete(ws));
+}
+
+wss.on('connection', (ws, req) => {
   clients.add(ws);
+  sessions.set(ws, {
+    ejsonMode: DEFAULT_EJSON_MODE,
+    principal: req.principal || null,
+    authSessionId: req.authSessionId || null,
+    panes: new Map(),
+    outbox: createOutbox()
+  });
 
   ws.on('close', () => {
-    clients.delete(ws);
+    removeClient(ws);
   });
 
   ws.on('error', (err) => {
     console.error('WebSocket error:', err.message);
-    clients.delete(ws);
+    removeClient(ws);
   });
 
   ws.on('message', async (message) => {
     try {
       const data = JSON.parse(message);
 
+      // Panes are named by the client; messages without one address the default pane
+      const pane = typeof data.pane === 'string' && /^[\w-]{1,64}$/.test(data.pane) ? data.pane : 'main';
+
       // Handle client requests (e.g., switching collections)
       if (data.type === 'selectCollection') {
-        // Prevent switching if environment variables lock the target
-        if (MONGODB_DATABASE && MONGODB_COLLECTION) {
+        // Prevent switching if environment variables lock the target (filter-only changes are fine)
+        if (MONGODB_DATABASE && MONGODB_COLLECTION && (data.database !== undefined || data.namespaces !== undefined)) {
           ws.send(JSON.stringify({
             type: 'error',
+            pane,
             message: 'Collection is fixed by environment configuration'
           }));
           return;
         }
 
-        await startWatching(data.database, data.collection);
+        // Invalid filters, watch lists and start points are reported to the requesting pane; its current stream keeps running
+        let filter;
+        let namespaces = null;
+        let startFrom = null;
+        try {
+          filter = normalizeFilter(data.filter);
+        } catch (err) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            pane,
+            message: `Invalid filter: ${err.message}`
+          }));
+          return;
+        }
+        if (data.namespaces !== undefined) {
+          try {
+            namespaces = normalizeNamespaces(data.namespaces);
+          } catch (err) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              pane,
+              message: `Invalid watch list: ${err.message}`
+            }));
+            return;
+          }
+        }
+        try {
+          startFrom = normalizeStartFrom(data.startFrom);
+        } catch (err) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            pane,
+            message: `Invalid start point: ${err.message}`
+          }));
+          return;
+        }
+
+        // Without a database or watch list the pane keeps its current target (a new pane gets the default one)
+        // and only changes the filter
+        const { principal, panes } = sessions.get(ws);
+        const current = panes.get(pane);
+        const initial = current ? current.target : defaultTargetFor(principal);
+        let target;
+        if (namespaces) {
+          target = { namespaces };
+        } else if (data.database !== undefined) {
+          target = { database: data.database, collection: data.collection };
+        } else {
+          target = initial;
+        }
+
+        if (!target) {
+          ws.send(JSON.stringify({ type: 'error', pane, message: 'No namespace to watch' }));
+          return;
+        }
+        // Roles without the switch permission stay on the target they were given
+        const describe = t => resolveTarget(t.database, t.collection, t.namespaces).description;
+        if (!hasPermission(principal, 'switch') && (!initial || describe(target) !== describe(initial))) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            pane,
+            message: `The ${principal.role} role cannot switch targets`
+          }));
+          return;
+        }
+        await subscribe(ws, pane, target, filter, startFrom);
+      }
+
+      if (data.type === 'closePane') {
+        await closePane(ws, pane);
+      }
+
+      // Re-watch the namespace of a pane whose stream was invalidated (following a rename is a plain selectCollection)
+      if (data.type === 'rewatch') {
+        const subscription = sessions.get(ws).panes.get(pane);
+        if (subscription && subscription.watcher) {
+          rewatch(subscription.watcher);
+        }
+      }
+
+      // Handle per-client display options
+      if (data.type === 'setOptions') {
+        const session = sessions.get(ws);
+        if (['relaxed', 'canonical'].includes(data.ejsonMode)) {
+          session.ejsonMode = data.ejsonMode;
+        }
       }
     } catch (err) {
       console.error('WebSocket message error:', err.message);
@@ -401,12 +4309,11 @@ wss.on('connection', (ws) => {
     message: 'Welcome to Mongo TV'
   }));
 
-  if (currentWatchDescription) {
-    ws.send(JSON.stringify({
-      type: 'status',
-      status: 'connected',
-      watching: currentWatchDescription
-    }));
+  // Every client starts with one pane on the default target from env config (or its first allowed namespace)
+  const initialTarget = defaultTargetFor(req.principal || null);
+  if (initialTarget) {
+    subscribe(ws, 'main', initialTarget)
+      .catch(err => console.error('Error starting watch:', err.message));
   }
 });
 
@@ -414,7 +4321,28 @@ wss.on('connection', (ws) => {
 // Start Server
 // ==========================================
 
-server.listen(PORT, () => {
+try {
+  loadAuthConfig();
+} catch (err) {
+  console.error('Invalid authentication config:', err.message);
+  process.exit(1);
+}
+try {
+  loadRedactionRules();
+} catch (err) {
+  console.error('Invalid redaction rules:', err.message);
+  process.exit(1);
+}
+try {
+  loadWebhooks();
+} catch (err) {
+  console.error('Invalid webhooks config:', err.message);
+  process.exit(1);
+}
+setInterval(pruneAuthSessions, 60 * 1000).unref();
+
+server.listen(PORT, async () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  await loadEventBuffer();
   connectMongoDB();
 });
@@ -0,0 +1,45 @@
+// Local stand-in for a webhook endpoint: logs every POST it receives
+// Usage: node webhook-receiver.js [port] [--fail-rate 0.3] [--status 503]
+const http = require('http');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : args[index + 1];
+};
+
+const port = parseInt(args.find(arg => /^\d+$/.test(arg)), 10) || 4000;
+const failRate = parseFloat(option('--fail-rate', '0'));
+const failStatus = parseInt(option('--status', '503'), 10);
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received++;
+
+        // Simulate an unreliable endpoint to exercise retries and the dead-letter file
+        if (Math.random() < failRate) {
+            console.log(`#${received} ${req.method} ${req.url} -> ${failStatus} (simulated failure)`);
+            res.writeHead(failStatus);
+            res.end();
+            return;
+        }
+
+        console.log(`#${received} ${req.method} ${req.url} event=${req.headers['x-mongo-tv-event'] || '-'}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2), '\n');
+        } catch (err) {
+            console.log(body, '\n');
+        }
+        res.writeHead(204);
+        res.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}`);
+    if (failRate > 0) console.log(`Failing ${Math.round(failRate * 100)}% of requests with HTTP ${failStatus}`);
+});